@@ -0,0 +1,288 @@
+#!/usr/bin/env node
+/**
+ * Check a directory of gallery images for consistency, before deploy:
+ * the groups of sizes _and_ aspect ratios, and the entries of its manifest
+ * whose declared size _or_ aspect ratio disagrees w/ the image, _or_ whose file
+ * is missing. The `src` variants are checked by their width _and_ aspect ratio,
+ * _and_ the one the fallback `img` picks, w/o a WebGL context, has to be there.
+ *
+ * Usage: `node scripts/check-gallery.mjs [dir=src/tex] [--manifest=<dir>/manifest.json]`
+ *
+ * Exits w/ `1` if the manifest doesn't validate _or_ disagrees w/ the images,
+ * w/ `2` on an unknown option.
+ */
+import { readFile, readdir } from 'node:fs/promises';
+import { basename, dirname, extname, join, resolve } from 'node:path';
+import {
+  RATIO_TOLERANCE,
+  checkGallery,
+  compareImages,
+  toSwitchProps,
+} from '../src/js/gallery-check.js';
+import { validateManifest } from '../src/js/manifest.js';
+import { pickFormat, pickWidth } from '../src/js/formats.js';
+
+const EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.avif'];
+
+/**
+ * Orientation of a JPEG from its Exif data, `1` if there's none.
+ * @param {Buffer} buf The APP1 segment, after its length.
+ * @returns {number}
+ */
+const exifOrientation = (buf) => {
+  if (buf.toString('latin1', 0, 6) !== 'Exif\0\0') return 1;
+
+  const tiff = buf.subarray(6);
+  const le = tiff.toString('latin1', 0, 2) === 'II';
+  const u16 = (at) => (le ? tiff.readUInt16LE(at) : tiff.readUInt16BE(at));
+  const u32 = (at) => (le ? tiff.readUInt32LE(at) : tiff.readUInt32BE(at));
+  const ifd = u32(4);
+
+  for (let i = 0, count = u16(ifd); i < count; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (u16(entry) === 0x0112) return u16(entry + 8);
+  }
+  return 1;
+};
+
+/**
+ * Natural size of a JPEG, as browsers show it: rotated by its Exif orientation.
+ * @param {Buffer} buf The file.
+ * @returns {?number[]} `[width, height]`
+ */
+const jpegSize = (buf) => {
+  let orientation = 1;
+
+  for (let at = 2; at + 9 < buf.length;) {
+    if (buf[at] !== 0xff) return null;
+
+    const marker = buf[at + 1];
+    const length = buf.readUInt16BE(at + 2);
+    if (marker === 0xe1) orientation = exifOrientation(buf.subarray(at + 4, at + 2 + length));
+    // Start of frame, other than DHT (c4), JPG (c8) _and_ DAC (cc)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      const size = [buf.readUInt16BE(at + 7), buf.readUInt16BE(at + 5)];
+      // Orientations 5–8 swap the sides
+      return orientation >= 5 ? size.reverse() : size;
+    }
+    at += 2 + length;
+  }
+  return null;
+};
+
+/**
+ * Natural size of an AVIF, from the `ispe` property, rotated by `irot`.
+ * @param {Buffer} buf The file.
+ * @returns {?number[]} `[width, height]`
+ */
+const avifSize = (buf) => {
+  const ispe = buf.indexOf('ispe');
+  if (ispe < 0) return null;
+
+  const size = [buf.readUInt32BE(ispe + 8), buf.readUInt32BE(ispe + 12)];
+  const irot = buf.indexOf('irot');
+  return irot >= 0 && buf[irot + 4] % 2 ? size.reverse() : size;
+};
+
+/**
+ * Natural size of an image file, by its signature.
+ * @param {Buffer} buf The file.
+ * @returns {?number[]} `[width, height]`, `null` for an unknown format.
+ */
+const imageSize = (buf) => {
+  if (buf[0] === 0xff && buf[1] === 0xd8) return jpegSize(buf);
+  if (buf.toString('latin1', 1, 4) === 'PNG') return [buf.readUInt32BE(16), buf.readUInt32BE(20)];
+  if (buf.toString('latin1', 0, 3) === 'GIF') return [buf.readUInt16LE(6), buf.readUInt16LE(8)];
+  if (buf.toString('latin1', 0, 4) === 'RIFF' && buf.toString('latin1', 8, 12) === 'WEBP') {
+    const chunk = buf.toString('latin1', 12, 16);
+    if (chunk === 'VP8 ') return [buf.readUInt16LE(26) & 0x3fff, buf.readUInt16LE(28) & 0x3fff];
+    if (chunk === 'VP8L') {
+      const bits = buf.readUInt32LE(21);
+      return [(bits & 0x3fff) + 1, ((bits >> 14) & 0x3fff) + 1];
+    }
+    if (chunk === 'VP8X') return [buf.readUIntLE(24, 3) + 1, buf.readUIntLE(27, 3) + 1];
+  }
+  if (buf.toString('latin1', 4, 8) === 'ftyp') return avifSize(buf);
+  return null;
+};
+
+const ratioOf = ([w, h]) => (w / h).toFixed(3);
+
+// Screens the fallback `img` is resolved for: a phone _and_ a desktop
+const FALLBACK_SCREENS = [
+  { width: 375, height: 812, dpr: 3 },
+  { width: 1440, height: 900, dpr: 1 },
+];
+
+const USAGE = `Usage: node scripts/check-gallery.mjs [dir=src/tex] [--manifest=<dir>/manifest.json]
+
+Checks the images of the directory against its gallery manifest.
+
+  --manifest=<path>  Manifest to check, <dir>/manifest.json by default
+  -h, --help         Show this help`;
+
+const args = process.argv.slice(2);
+if (args.includes('--help') || args.includes('-h')) {
+  console.log(USAGE);
+  process.exit(0);
+}
+
+const flags = args.filter((arg) => arg.startsWith('-'));
+const dirs = args.filter((arg) => !arg.startsWith('-'));
+const unknown = flags.find((arg) => !arg.startsWith('--manifest='));
+if (unknown || dirs.length > 1) {
+  console.error(`${unknown ? `Unknown option: ${unknown}` : 'Expected a single directory'}\n\n${USAGE}`);
+  process.exit(2);
+}
+
+const dir = resolve(dirs[0] ?? 'src/tex');
+const manifestArg = flags.at(-1);
+const manifestPath = manifestArg ? resolve(manifestArg.slice(11)) : join(dir, 'manifest.json');
+
+const files = (await readdir(dir))
+  .filter((file) => EXTENSIONS.includes(extname(file).toLowerCase()))
+  .sort();
+const sizes = new Map();
+
+for (const file of files) {
+  const size = imageSize(await readFile(join(dir, file)));
+  if (size) sizes.set(file, size);
+  else console.log(`? ${file}: unknown format`);
+}
+
+const listed = [...sizes.keys()];
+const comparison = compareImages([...sizes.values()]);
+const group = (indices) => indices.map((idx) => listed[idx]).join(', ');
+
+console.log(`${listed.length} images in ${dir}\n`);
+listed.forEach((file) => {
+  const size = sizes.get(file);
+  console.log(`  ${file}  ${size.join('×')}  ${ratioOf(size)}`);
+});
+console.log('\nBy size:');
+comparison.sizeGroups.forEach((indices) => {
+  console.log(`  ${sizes.get(listed[indices[0]]).join('×')}: ${group(indices)}`);
+});
+console.log('By aspect ratio:');
+comparison.ratioGroups.forEach((indices) => {
+  console.log(`  ${ratioOf(sizes.get(listed[indices[0]]))}: ${group(indices)}`);
+});
+console.log('Switch props:', toSwitchProps(comparison));
+
+let manifest;
+try {
+  manifest = JSON.parse(await readFile(manifestPath, 'utf8'));
+} catch (e) {
+  console.log(`\nNo manifest checked (${manifestPath}: ${e.code || e.message})`);
+  process.exit(0);
+}
+
+let images;
+try {
+  ({ images } = validateManifest(manifest));
+} catch (e) {
+  console.log(`\n✗ ${e.message}`);
+  process.exit(1);
+}
+
+/**
+ * Natural size of an image file, `null` if it's missing _or_ unknown.
+ * @param {string} path Path of the file.
+ * @returns {Promise.<?number[]>}
+ */
+const sizeOf = async (path) => {
+  if (dirname(path) === dir) return sizes.get(basename(path)) ?? null;
+  try {
+    return imageSize(await readFile(path));
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Paths of the variants of an entry, by their width, named as `assetURL` does.
+ * @param {variantsProps} src The variants.
+ * @returns {Array.<Array>} `[path, width]` pairs, the width `undefined` w/o resolutions.
+ */
+const variantsOf = ({
+  base = 'images',
+  name = 'img',
+  desc = '0',
+  suffix = '',
+  formats = ['avif', 'webp', 'jpg'],
+  widths = [undefined],
+}) => widths.flatMap((width) => formats.map((format) => [
+  resolve(dirname(manifestPath), base, `${name}${desc}${width ? `-${width}w` : ''}${suffix}.${format}`),
+  width,
+]));
+
+const missing = [];
+const variantProblems = [];
+const used = new Set();
+// The file of each entry, the widest variant of the declared width for `src`
+const naturalSizes = await Promise.all(images.map(async (entry, idx) => {
+  if (entry.url) {
+    const path = resolve(dirname(manifestPath), entry.url);
+    used.add(path);
+    const size = await sizeOf(path);
+    if (!size) missing.push(entry.url);
+    return size;
+  }
+
+  let natural = null;
+  for (const [path, width] of variantsOf(entry.src)) {
+    used.add(path);
+    const size = await sizeOf(path);
+    const file = basename(path);
+    if (!size) {
+      missing.push(file);
+    } else if (width && size[0] !== width) {
+      variantProblems.push(`✗ images[${idx}] ${file}: named ${width}w, the image is ${size.join('×')}`);
+    } else if (!width || width === entry.width) {
+      natural = size;
+    } else if (Math.abs((size[0] / size[1]) / (entry.width / entry.height) - 1) > RATIO_TOLERANCE) {
+      variantProblems.push(`✗ images[${idx}] ${file}: ${size.join('×')} (${ratioOf(size)}),`
+        + ` declared ${entry.width}×${entry.height} (${ratioOf([entry.width, entry.height])})`);
+    }
+  }
+  return natural;
+}));
+const report = checkGallery(images, naturalSizes);
+
+// The variants `resolveURL` picks w/o a context: no decoders probed, _or_ texture size cap
+const fallbackProblems = [];
+for (const [idx, entry] of images.entries()) {
+  if (!entry.src) continue;
+
+  const format = pickFormat(new Set(['jpg']), entry.src.formats);
+  for (const screen of FALLBACK_SCREENS) {
+    const width = pickWidth(entry.src.widths, {
+      imageWidth: entry.width,
+      imageHeight: entry.height,
+      ...screen,
+    });
+    const [[path]] = variantsOf({ ...entry.src, formats: [format], widths: [width] });
+    if (!await sizeOf(path)) {
+      fallbackProblems.push(`✗ images[${idx}] ${basename(path)}: missing, the fallback loads it`);
+    }
+  }
+}
+
+console.log(`\nManifest ${manifestPath}: ${images.length} entries`);
+console.log('Switch props:', report.switchProps);
+missing.forEach((file) => console.log(`✗ ${file}: missing`));
+report.mismatches.forEach(({ index, url, declared, natural, kind }) => {
+  const what = kind === 'ratio' ? 'aspect ratio' : 'size';
+  console.log(`✗ images[${index}] ${url ?? ''}: declared ${declared.join('×')} (${ratioOf(declared)}),`
+    + ` the image is ${natural.join('×')} (${ratioOf(natural)}), the ${what} is off`);
+});
+variantProblems.forEach((problem) => console.log(problem));
+fallbackProblems.forEach((problem) => console.log(problem));
+
+const unused = listed.filter((file) => !used.has(join(dir, file)));
+if (unused.length) console.log(`- Not in the manifest: ${unused.join(', ')}`);
+
+if (missing.length || variantProblems.length || fallbackProblems.length || !report.isConsistent) {
+  process.exit(1);
+}
+console.log('✓ The manifest agrees w/ the images');
@@ -0,0 +1,157 @@
+import { createPointer, movePointer } from './pointer.js';
+
+/**
+ * Smooth 1D value noise in 0–1 range, the same for the same input.
+ * @param {number} x Input.
+ * @param {number} seed Seed, for independent channels.
+ * @returns {number}
+ */
+const noise = (x, seed) => {
+  const hash = (n) => {
+    const s = Math.sin(n * 127.1 + seed * 311.7) * 43758.5453;
+    return s - Math.floor(s);
+  };
+  const i = Math.floor(x);
+  const f = x - i;
+  const u = f * f * (3 - 2 * f);
+
+  return hash(i) * (1 - u) + hash(i + 1) * u;
+};
+
+/**
+ * Procedural paths, mapping the time (in s) to a position `[x, y]`
+ * in 0–1 range from the top left corner of the canvas.
+ * @type {Object.<string, function(number): number[]>}
+ */
+export const ATTRACT_PATHS = {
+  lissajous: (t) => [
+    0.5 + 0.35 * Math.sin(t * 0.9 + Math.PI / 2),
+    0.5 + 0.35 * Math.sin(t * 0.6),
+  ],
+  wander: (t) => [
+    0.1 + 0.8 * noise(t * 0.4, 1),
+    0.1 + 0.8 * noise(t * 0.4, 2),
+  ],
+  spiral: (t) => {
+    // Breathing in and out
+    const radius = 0.05 + 0.3 * (0.5 - 0.5 * Math.cos(t * 0.25));
+    const angle = t * 1.2;
+    return [0.5 + radius * Math.cos(angle), 0.5 + radius * Math.sin(angle)];
+  },
+};
+
+/**
+ * @typedef {Object} attractProps
+ * The object includes a set of options for {@link AttractMode|the attract mode}.
+ *
+ * @prop {number} [timeout=5000] Time w/o input before it starts, in ms.
+ * @prop {(string|Function)} [path='lissajous'] Name of one of the
+ * {@link ATTRACT_PATHS|paths} _or_ a function of the time (in s)
+ * that returns a position `[x, y]` in 0–1 range from the top left corner.
+ * @prop {number} [speed=1] Rate the path is followed at.
+ * @prop {number} [fade=1000] Time it takes to speed up when it starts
+ * _and_ to slow down once the input is back, in ms.
+ */
+
+/**
+ * Default {@link attractProps|attract mode options}.
+ * @const @default
+ */
+export const ATTRACT_DEFAULTS = {
+  timeout: 5000,
+  path: 'lissajous',
+  speed: 1,
+  fade: 1000,
+};
+
+/**
+ * Drive a pointer along a procedural path while nobody interacts.
+ * @class
+ * @classdesc The pointer, keyed `'attract'`, speeds up from a standstill
+ * when the mode starts, and slows down to a standstill once the input
+ * is back, so the distortion hands over w/o a jolt.
+ *
+ * @param {attractProps} [options={}] A set of attract mode options.
+ * @throws {TypeError} If the path is unknown.
+ *
+ * @example
+ * const attract = new AttractMode({ path: 'spiral', timeout: 10000 });
+ * // …on input
+ * attract.interact();
+ * // …every frame, before the pointers are stamped
+ * attract.update(t, pointers, width, height);
+ */
+export class AttractMode {
+  constructor(options = {}) {
+    this.options = { ...ATTRACT_DEFAULTS, ...options };
+
+    const { path } = this.options;
+    this.path = typeof path === 'function' ? path : ATTRACT_PATHS[path];
+    if (!this.path) throw new TypeError(`Unknown attract path: ${path}`);
+
+    this.lastInput = performance.now();
+    this.lastTime = undefined;
+    // Time along the path, in s
+    this.pathTime = 0;
+    // Rate the path is followed at, 0–1 of the speed
+    this.rate = 0;
+    this.isActive = false;
+  }
+
+  /**
+   * Note the real input, which holds _or_ ends the mode.
+   * @param {number} [time=performance.now()] Time of the input, in ms.
+   */
+  interact(time = performance.now()) {
+    this.lastInput = time;
+  }
+
+  /**
+   * Move the pointer along the path. Called once per frame.
+   *
+   * @param {number} time Current time, in ms.
+   * @param {Map.<(string|number), Object>} pointers Pointers by their id.
+   * @param {number} width Width of the canvas, in CSS pixels.
+   * @param {number} height Height of the canvas, in CSS pixels.
+   * @param {physicsProps} [physics] Physics options of the pointer.
+   */
+  update(time, pointers, width, height, physics) {
+    const { timeout, speed, fade } = this.options;
+    const delta = this.lastTime === undefined ? 0 : time - this.lastTime;
+    this.lastTime = time;
+
+    const isIdle = time - this.lastInput >= timeout;
+    if (isIdle) this.isActive = true;
+    if (!this.isActive) return;
+
+    // Speed up while idle, slow down once the input is back
+    const step = fade > 0 ? delta / fade : 1;
+    this.rate = Math.min(1, Math.max(0, this.rate + (isIdle ? step : -step)));
+
+    if (!isIdle && this.rate === 0) {
+      this.stop(pointers);
+      return;
+    }
+
+    this.pathTime += (delta / 1000) * speed * this.rate;
+
+    let pointer = pointers.get('attract');
+    if (!pointer) {
+      pointer = createPointer();
+      pointers.set('attract', pointer);
+    }
+
+    const [x, y] = this.path(this.pathTime);
+    movePointer(pointer, x * width, y * height, width, height, time, physics);
+  }
+
+  /**
+   * Lift the pointer at once, until the next timeout.
+   * @param {Map.<(string|number), Object>} pointers Pointers by their id.
+   */
+  stop(pointers) {
+    pointers.delete('attract');
+    this.isActive = false;
+    this.rate = 0;
+  }
+}
@@ -0,0 +1,210 @@
+import { Color, Vec3 } from 'https://cdn.skypack.dev/ogl';
+
+/**
+ * GLSL chunk that displaces, splits _and_ shades the texture lookup
+ * by the flow. Expects to be included _after_ the {@link fitChunk}
+ * and the `uTime` uniform.
+ */
+export const distortionChunk = /* glsl */ `
+  uniform float uStrength;
+  uniform float uRgbSplit;
+  // Amplitude (x), frequency (y) and speed (z) of the ripple
+  uniform vec3 uRipple;
+  uniform vec3 uTint;
+  uniform float uTintAmount;
+  uniform float uBrightness;
+
+  // Displace the uv lookup along the flow, rippling where it moves
+  vec2 distort(vec2 uv, vec3 flow) {
+    uv -= flow.xy * uStrength;
+
+    float phase = uTime * uRipple.z;
+    vec2 wave = vec2(
+      sin(uv.y * uRipple.y + phase),
+      cos(uv.x * uRipple.y + phase)
+    );
+    return uv + wave * uRipple.x * clamp(flow.b, 0.0, 1.0);
+  }
+
+  // Sample the channels apart from each other, the faster the flow the further
+  vec3 sampleSplit(sampler2D map, vec2 uv, vec4 fit, float masked, vec3 flow) {
+    vec2 offset = normalize(flow.xy + 1e-5) * uRgbSplit * clamp(flow.b, 0.0, 1.0);
+
+    return vec3(
+      sampleFit(map, uv + offset, fit, masked).r,
+      sampleFit(map, uv, fit, masked).g,
+      sampleFit(map, uv - offset, fit, masked).b
+    );
+  }
+
+  // Tint _and_ brighten the colour by the velocity
+  vec3 shade(vec3 color, vec3 flow) {
+    float speed = clamp(flow.b, 0.0, 1.0);
+
+    color = mix(color, color * uTint, uTintAmount * speed);
+    return color * (1.0 + uBrightness * speed);
+  }
+`;
+
+/**
+ * @typedef {Object} distortionProps
+ * The object includes a set of options for {@link Distortion|the distortion}.
+ *
+ * @prop {number} [strength=0.105] How far the flow displaces the image.
+ * @prop {number} [rgbSplit=0] How far the colour channels split apart
+ * at full speed.
+ * @prop {number} [rippleAmplitude=0] Displacement of the ripple at full speed.
+ * @prop {number} [rippleFrequency=20] Number of ripple waves across the canvas,
+ * times 2π.
+ * @prop {number} [rippleSpeed=0.5] Speed the ripple runs at.
+ * @prop {(string|number[])} [tint='#fff'] Colour multiplied in at full speed.
+ * @prop {number} [tintAmount=0] How much of the tint is mixed in at full speed.
+ * @prop {number} [brightness=0] Brightness added at full speed,
+ * `0.5` being 50% brighter.
+ */
+
+/**
+ * Default {@link distortionProps|distortion options},
+ * the plain displacement.
+ * @const @default
+ */
+export const DISTORTION_DEFAULTS = {
+  strength: 0.15 * 0.7,
+  rgbSplit: 0,
+  rippleAmplitude: 0,
+  rippleFrequency: 20,
+  rippleSpeed: 0.5,
+  tint: '#fff',
+  tintAmount: 0,
+  brightness: 0,
+};
+
+/**
+ * Named sets of {@link distortionProps|distortion options},
+ * applied over the defaults.
+ * @const @default
+ */
+export const DISTORTION_PRESETS = {
+  subtle: {
+    strength: 0.05,
+    brightness: 0.05,
+  },
+  liquid: {
+    strength: 0.15,
+    rgbSplit: 0.004,
+    rippleAmplitude: 0.01,
+    rippleFrequency: 24,
+    rippleSpeed: 0.3,
+    brightness: 0.1,
+  },
+  glitch: {
+    strength: 0.08,
+    rgbSplit: 0.03,
+    rippleAmplitude: 0.02,
+    rippleFrequency: 160,
+    rippleSpeed: 2,
+    tint: '#0ff',
+    tintAmount: 0.3,
+  },
+};
+
+/**
+ * Hold the uniforms of the {@linkcode distortionChunk}
+ * and switch them between the presets.
+ * @class
+ *
+ * @param {(string|distortionProps)} [options={}] Name of one of the
+ * {@link DISTORTION_PRESETS|presets} _or_ a set of distortion options.
+ *
+ * @example
+ * const distortion = new Distortion('liquid');
+ * new Program(gl, { uniforms: { ...distortion.uniforms } });
+ * distortion.set({ preset: 'glitch', rgbSplit: 0.05 });
+ */
+export class Distortion {
+  constructor(options = {}) {
+    this.uniforms = {
+      uStrength: { value: 0 },
+      uRgbSplit: { value: 0 },
+      uRipple: { value: new Vec3() },
+      uTint: { value: new Color() },
+      uTintAmount: { value: 0 },
+      uBrightness: { value: 0 },
+    };
+    // Intensity the options are applied at, e.g. lowered for reduced motion
+    this.scale = 1;
+
+    this.set(options);
+  }
+
+  /**
+   * Apply the preset _or_ the options. Options that aren't passed
+   * return to the ones of the `preset`, if any, _or_ to the defaults.
+   *
+   * @param {(string|distortionProps)} [options={}] Name of a preset _or_
+   * a set of options, optionally w/ the `preset` they're applied over.
+   * @returns {Distortion} The instance.
+   * @throws {TypeError} If the preset is unknown.
+   */
+  set(options = {}) {
+    if (typeof options === 'string') options = { preset: options };
+
+    const { preset, ...params } = options;
+    if (preset !== undefined && !(preset in DISTORTION_PRESETS)) {
+      throw new TypeError(`Unknown distortion preset: ${preset}`);
+    }
+
+    this.preset = preset;
+    /**
+     * The options applied.
+     * @type {distortionProps}
+     */
+    this.params = {
+      ...DISTORTION_DEFAULTS,
+      ...DISTORTION_PRESETS[preset],
+      ...params,
+    };
+
+    return this.apply();
+  }
+
+  /**
+   * Scale the intensity of the distortion, keeping its options.
+   *
+   * @param {number} scale `0` turns the distortion off, `1` applies
+   * the options as they are.
+   * @returns {Distortion} The instance.
+   */
+  setScale(scale) {
+    this.scale = Math.max(0, scale);
+
+    return this.apply();
+  }
+
+  /**
+   * Update the uniforms by the options _and_ the scale.
+   * @returns {Distortion} The instance.
+   */
+  apply() {
+    const {
+      strength,
+      rgbSplit,
+      rippleAmplitude,
+      rippleFrequency,
+      rippleSpeed,
+      tint,
+      tintAmount,
+      brightness,
+    } = this.params;
+    const { uniforms, scale } = this;
+
+    uniforms.uStrength.value = strength * scale;
+    uniforms.uRgbSplit.value = rgbSplit * scale;
+    uniforms.uRipple.value.set(rippleAmplitude * scale, rippleFrequency, rippleSpeed);
+    uniforms.uTint.value.set(tint);
+    uniforms.uTintAmount.value = tintAmount * scale;
+    uniforms.uBrightness.value = brightness * scale;
+
+    return this;
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * Modes of fitting the image into the canvas,
+ * as the CSS `object-fit` property does.
+ * @const @default
+ */
+export const FIT_MODES = ['cover', 'contain', 'fill'];
+
+/**
+ * GLSL chunk that samples a texture fitted into the canvas.
+ * Expects the fit as computed by {@link computeFit}.
+ */
+export const fitChunk = /* glsl */ `
+  uniform vec3 uBackground;
+
+  // The fit holds the scale (xy) and offset (zw) of the uv lookup
+  vec3 sampleFit(sampler2D map, vec2 uv, vec4 fit, float masked) {
+    vec2 st = uv * fit.xy + fit.zw;
+    vec3 color = texture2D(map, st).rgb;
+
+    // Paint the background around a contained image
+    vec2 inside = step(vec2(0.0), st) * step(st, vec2(1.0));
+    return mix(color, uBackground, masked * (1.0 - inside.x * inside.y));
+  }
+`;
+
+/**
+ * @typedef {Object} fitProps
+ * The object includes a set of options for {@link computeFit|fitting}.
+ *
+ * @prop {string} [mode='cover'] One of the {@link FIT_MODES|fit modes}.
+ * @prop {number[]} [focus=[0.5, 0.5]] Focal point, `[x, y]` in 0–1 range
+ * from the top left corner, as the CSS `object-position` property.
+ * @prop {number} ratio Aspect ratio of the image, its height by its width.
+ * @prop {number} width Width of the canvas.
+ * @prop {number} height Height of the canvas.
+ */
+
+/**
+ * Compute the uv transform that fits the image into the canvas.
+ * The uv are the canvas' ones, w/ y going up as in the texture.
+ *
+ * @param {fitProps} props A set of fitting options.
+ * @returns {number[]} Scale _and_ offset of the uv lookup, `[sx, sy, ox, oy]`.
+ *
+ * @example
+ * // returns [1, 0.5625, 0, 0.21875] for a square image in 16:9 canvas
+ * computeFit({ mode: 'cover', ratio: 1, width: 1600, height: 900 });
+ */
+export const computeFit = ({
+  mode = 'cover',
+  focus = [0.5, 0.5],
+  ratio,
+  width,
+  height,
+}) => {
+  let dw = width,
+    dh = height;
+
+  if (mode !== 'fill') {
+    // Scale of the image, taken as 1 unit wide
+    const scale = (mode === 'contain' ? Math.min : Math.max)(width, height / ratio);
+    dw = scale;
+    dh = scale * ratio;
+  }
+
+  // Align the focal point of the image w/ the same point of the canvas
+  const left = (width - dw) * focus[0];
+  const bottom = (height - dh) * (1 - focus[1]);
+
+  return [width / dw, height / dh, -left / dw, -bottom / dh];
+};
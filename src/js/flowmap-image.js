@@ -0,0 +1,515 @@
+import {
+  Color,
+  Geometry,
+  Mesh,
+  Program,
+  Renderer,
+  Vec2,
+  Vec4,
+} from 'https://cdn.skypack.dev/ogl';
+import { fragment, vertex } from './shaders.js';
+import { MultiFlowmap } from './flowmap.js';
+import { TextureTransition } from './transitions.js';
+import { DISTORTION_DEFAULTS, Distortion } from './distortion.js';
+import { TextureManager } from './texture-manager.js';
+import { computeFit } from './fit.js';
+import {
+  createPointer,
+  makeRoom,
+  movePointer,
+  pressPointer,
+  stampPointers,
+} from './pointer.js';
+import { watchReducedMotion } from './motion.js';
+import { fetchImage } from './image-loader.js';
+
+let win = window;
+
+/**
+ * Single canvas, fixed over the viewport, that every `<flowmap-image>`
+ * of the page is drawn into, each in its own viewport region.
+ * @class
+ * @classdesc Browsers cap the number of live GL contexts per page,
+ * so the elements share this one instead of creating their own.
+ * It's created w/ the first connected element and released w/ the last one.
+ */
+class FlowmapStage {
+  constructor() {
+    this.renderer = new Renderer({
+      dpr: Math.min(win.devicePixelRatio || 1, 2),
+      alpha: true,
+      depth: false,
+    });
+
+    const gl = this.gl = this.renderer.gl;
+    // Let the pointer through to the elements underneath
+    Object.assign(gl.canvas.style, {
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      pointerEvents: 'none',
+    });
+    gl.canvas.setAttribute('aria-hidden', 'true');
+    document.body.appendChild(gl.canvas);
+
+    this.geometry = new Geometry(gl, {
+      position: {
+        size: 2,
+        data: new Float32Array([-1, -1, 3, -1, -1, 3]),
+      },
+      uv: { size: 2, data: new Float32Array([0, 0, 2, 0, 0, 2]) },
+    });
+    // Elements showing the same image share its texture
+    this.textures = new TextureManager(gl, (url, signal) => fetchImage(url, { signal }));
+
+    this.elements = new Set();
+    // The elements in view are measured each frame, so their regions follow
+    // the scrolling _and_ the layout shifts, whatever moves them
+    this.visible = new Set();
+    this.intersectionObserver = new IntersectionObserver((entries) => {
+      entries.forEach(({ target, isIntersecting }) => {
+        if (isIntersecting) this.visible.add(target);
+        else this.visible.delete(target);
+      });
+    });
+
+    this.onResizeEv = () => this.resize();
+    this.update = this.update.bind(this);
+
+    win.addEventListener('resize', this.onResizeEv, false);
+
+    this.resize();
+    this.rafId = requestAnimationFrame(this.update);
+  }
+
+  /**
+   * Start drawing the element.
+   * @param {FlowmapImage} el The element.
+   */
+  add(el) {
+    this.elements.add(el);
+    this.intersectionObserver.observe(el);
+  }
+
+  /**
+   * Stop drawing the element, releasing the stage along w/ the last one.
+   * @param {FlowmapImage} el The element.
+   */
+  delete(el) {
+    this.elements.delete(el);
+    this.visible.delete(el);
+    this.intersectionObserver.unobserve(el);
+    this.pin();
+
+    if (!this.elements.size) this.destroy();
+  }
+
+  /**
+   * Keep the textures on screen of every element from eviction.
+   */
+  pin() {
+    const textures = [];
+    this.elements.forEach((el) => textures.push(...el.visibleTextures));
+    this.textures.pin(...textures);
+  }
+
+  resize() {
+    this.renderer.setSize(win.innerWidth, win.innerHeight);
+    this.elements.forEach((el) => el.measure());
+  }
+
+  update(t) {
+    this.rafId = requestAnimationFrame(this.update);
+
+    const { gl, renderer } = this;
+    const { width, height, dpr } = renderer;
+
+    renderer.bindFramebuffer();
+    renderer.setViewport(width * dpr, height * dpr);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+
+    this.elements.forEach((el) => {
+      if (!this.visible.has(el)) return;
+
+      el.measure();
+      const { rect } = el;
+      // Skip the elements w/o an image yet, scrolled out of view _or_ collapsed
+      if (!el.texture || !rect || !rect.width || !rect.height
+        || rect.bottom <= 0 || rect.top >= height
+        || rect.right <= 0 || rect.left >= width) return;
+
+      // Renders into the flowmap's own target first
+      el.update(t);
+
+      // The GL origin is at the bottom left corner of the canvas
+      const x = Math.round(rect.left * dpr);
+      const y = Math.round((height - rect.bottom) * dpr);
+      const w = Math.round(rect.width * dpr);
+      const h = Math.round(rect.height * dpr);
+
+      renderer.bindFramebuffer();
+      gl.viewport(x, y, w, h);
+      gl.scissor(x, y, w, h);
+      renderer.enable(gl.SCISSOR_TEST);
+      // Draw the mesh directly, as `render()` would reset the viewport
+      el.mesh.draw();
+      renderer.disable(gl.SCISSOR_TEST);
+
+      // The renderer caches the viewport by its size only, w/o the offset,
+      // so make sure the next `setViewport()` applies
+      renderer.state.viewport.width = renderer.state.viewport.height = null;
+    });
+  }
+
+  /**
+   * Detach the listeners and release the GL context.
+   */
+  destroy() {
+    cancelAnimationFrame(this.rafId);
+    win.removeEventListener('resize', this.onResizeEv, false);
+    this.intersectionObserver.disconnect();
+    this.visible.clear();
+
+    const { gl } = this;
+    this.geometry.remove();
+    this.textures.clear();
+    gl.getExtension('WEBGL_lose_context')?.loseContext();
+    gl.canvas.remove();
+
+    if (stage === this) stage = null;
+  }
+}
+
+/**
+ * The stage shared by the elements, while any is connected.
+ * @type {?FlowmapStage}
+ */
+let stage = null;
+
+/**
+ * Image w/ the flowmap distortion, drawn into the canvas shared by
+ * every such element of the page.
+ * @class
+ * @classdesc Takes the `src`, `alt`, `preset`, `strength`, `fit` _and_ `focus`
+ * attributes. The element keeps its place in the layout, sized by CSS
+ * _or_ by the aspect ratio of its image, and the distortion follows
+ * the pointer over it.
+ *
+ * @example
+ * <flowmap-image src="tex/img0-1500w-q80.jpg" alt="Black porous rock"
+ *   preset="liquid" strength="0.1" fit="cover" focus="0.5 0.4"></flowmap-image>
+ */
+export class FlowmapImage extends HTMLElement {
+  static get observedAttributes() {
+    return ['src', 'alt', 'preset', 'strength', 'fit', 'focus'];
+  }
+
+  constructor() {
+    super();
+
+    this.rect = null;
+    this.mesh = null;
+    this.texture = null;
+    // Active pointers by their id: `'mouse'` or the `pointerId` of a touch _or_ pen
+    this.pointers = new Map();
+
+    this.onPointerEv = (e) => this.updatePointer(e);
+    this.onLeaveEv = (e) => this.endPointer(e.pointerType === 'mouse' ? 'mouse' : e.pointerId);
+  }
+
+  /**
+   * URL of the image.
+   * @type {string}
+   */
+  get src() {
+    return this.getAttribute('src') || '';
+  }
+
+  set src(value) {
+    this.setAttribute('src', value);
+  }
+
+  /**
+   * How far the flow displaces the image, overriding the one of the preset.
+   * @type {number}
+   */
+  get strength() {
+    const value = parseFloat(this.getAttribute('strength'));
+    if (Number.isFinite(value)) return value;
+
+    return this.distortion?.params.strength ?? DISTORTION_DEFAULTS.strength;
+  }
+
+  set strength(value) {
+    this.setAttribute('strength', value);
+  }
+
+  /**
+   * Textures the element shows, including the outgoing one.
+   * @type {Texture[]}
+   */
+  get visibleTextures() {
+    if (!this.mesh) return [];
+
+    const { uniforms } = this.mesh.program;
+    return [uniforms.tWaterFrom.value, uniforms.tWater.value].filter(Boolean);
+  }
+
+  connectedCallback() {
+    if (getComputedStyle(this).display === 'inline') this.style.display = 'block';
+    if (!this.hasAttribute('role')) this.setAttribute('role', 'img');
+
+    stage ??= new FlowmapStage();
+    this.stage = stage;
+
+    const { gl } = stage;
+    this.flowmap = new MultiFlowmap(gl);
+    this.transition = new TextureTransition({ duration: 600 });
+    this.distortion = new Distortion();
+    this.updateDistortion();
+    // No distortion for the users who prefer reduced motion
+    this.unwatchMotion = watchReducedMotion((isReduced) => {
+      this.distortion.setScale(isReduced ? 0 : 1);
+    });
+    this.mesh = new Mesh(gl, {
+      geometry: stage.geometry,
+      program: new Program(gl, {
+        vertex,
+        fragment,
+        uniforms: {
+          uTime: { value: 0 },
+          tWater: { value: null },
+          ...this.distortion.uniforms,
+          ...this.transition.uniforms,
+          tWaterFrom: { value: null },
+          uFitTo: { value: new Vec4(1, 1, 0, 0) },
+          uFitFrom: { value: new Vec4(1, 1, 0, 0) },
+          uMasked: { value: new Vec2() },
+          uBackground: { value: new Color(0, 0, 0) },
+          tFlow: this.flowmap.uniform,
+        },
+        depthTest: false,
+      }),
+    });
+
+    // Touches move the flow rather than scroll the page
+    this.style.touchAction = 'none';
+    this.addEventListener('pointerdown', this.onPointerEv, false);
+    this.addEventListener('pointermove', this.onPointerEv, false);
+    this.addEventListener('pointerup', this.onPointerEv, false);
+    this.addEventListener('pointercancel', this.onPointerEv, false);
+    this.addEventListener('pointerleave', this.onLeaveEv, false);
+
+    stage.add(this);
+    this.measure();
+    this.load();
+  }
+
+  disconnectedCallback() {
+    this.removeEventListener('pointerdown', this.onPointerEv, false);
+    this.removeEventListener('pointermove', this.onPointerEv, false);
+    this.removeEventListener('pointerup', this.onPointerEv, false);
+    this.removeEventListener('pointercancel', this.onPointerEv, false);
+    this.removeEventListener('pointerleave', this.onLeaveEv, false);
+
+    this.unwatchMotion();
+    // Resolve the pending transition, if any
+    this.transition.settle(false);
+    this.mesh.program.remove();
+    this.flowmap.remove();
+    this.stage.delete(this);
+
+    this.stage = this.flowmap = this.transition = this.distortion = this.mesh = null;
+    this.texture = this.rect = null;
+    this.pointers.clear();
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    // The text alternative is the accessible name of the element
+    if (name === 'alt') this.setAttribute('aria-label', newValue || '');
+    if (!this.mesh || oldValue === newValue) return;
+
+    switch (name) {
+      case 'src':
+        this.load();
+        break;
+      case 'preset':
+      case 'strength':
+        this.updateDistortion();
+        break;
+      case 'fit':
+      case 'focus':
+        this.updateFit();
+        break;
+    }
+  }
+
+  /**
+   * Load the image of the `src` and transition to it.
+   * Loads superseded by a newer `src` are dropped.
+   *
+   * @async
+   * @returns {Promise.<?Texture>} The texture shown.
+   */
+  async load() {
+    const { src, stage } = this;
+    if (!src) return null;
+
+    let texture;
+    try {
+      texture = await stage.textures.acquire(new URL(src, document.baseURI).href);
+    } catch (e) {
+      console.error(e);
+      return null;
+    }
+
+    // Disconnected _or_ the `src` changed while loading
+    if (!this.mesh || this.src !== src) return null;
+
+    const { image } = texture;
+    // Reserve the space in the layout, unless sized by CSS
+    if (!this.style.aspectRatio) {
+      this.style.aspectRatio = `${image.naturalWidth} / ${image.naturalHeight}`;
+    }
+
+    const { uniforms } = this.mesh.program;
+    const from = this.texture;
+    uniforms.tWaterFrom.value = from || texture;
+    uniforms.tWater.value = texture;
+    this.texture = texture;
+    stage.pin();
+    this.updateFit();
+
+    const isCompleted = await this.transition.start(from ? {} : { duration: 0 });
+    // The outgoing texture may be evicted from now on
+    if (isCompleted && this.mesh) {
+      uniforms.tWaterFrom.value = texture;
+      this.stage.pin();
+    }
+
+    return texture;
+  }
+
+  /**
+   * Apply the `preset` _and_ `strength` attributes to the distortion.
+   */
+  updateDistortion() {
+    const preset = this.getAttribute('preset') || undefined;
+    const strength = parseFloat(this.getAttribute('strength'));
+
+    try {
+      this.distortion.set({
+        preset,
+        ...(Number.isFinite(strength) && { strength }),
+      });
+    } catch (e) {
+      // Unknown preset, keep the element working w/ the defaults
+      console.error(e);
+      this.distortion.set(Number.isFinite(strength) ? { strength } : {});
+    }
+  }
+
+  /**
+   * Read the position _and_ size of the element, relative to the viewport.
+   */
+  measure() {
+    this.rect = this.getBoundingClientRect();
+    this.updateFit();
+  }
+
+  /**
+   * Fit both the outgoing and incoming textures into the element,
+   * by the natural size of their images.
+   */
+  updateFit() {
+    if (!this.mesh || !this.rect) return;
+
+    const { uniforms } = this.mesh.program;
+    const mode = this.getAttribute('fit') || 'cover';
+    const focus = (this.getAttribute('focus') || '0.5 0.5')
+      .trim()
+      .split(/[\s,]+/)
+      .map(parseFloat);
+
+    [
+      [uniforms.tWaterFrom.value, uniforms.uFitFrom.value, 'x'],
+      [uniforms.tWater.value, uniforms.uFitTo.value, 'y'],
+    ].forEach(([texture, fitValue, maskKey]) => {
+      if (!texture) return;
+
+      const { naturalWidth, naturalHeight } = texture.image;
+      fitValue.set(...computeFit({
+        mode,
+        focus,
+        ratio: naturalHeight / naturalWidth,
+        width: this.rect.width,
+        height: this.rect.height,
+      }));
+      uniforms.uMasked.value[maskKey] = mode === 'contain' ? 1 : 0;
+    });
+  }
+
+  updatePointer(e) {
+    const id = e.pointerType === 'mouse' ? 'mouse' : e.pointerId;
+
+    if (e.type === 'pointerup' || e.type === 'pointercancel') {
+      // The mouse goes on hovering once its button is up
+      if (id !== 'mouse') this.endPointer(id);
+      return;
+    }
+    this.trackPointer(id, e.clientX, e.clientY, e);
+  }
+
+  /**
+   * Stop tracking the pointer, once lifted _or_ out. It's dropped
+   * once its last move is stamped.
+   * @param {(string|number)} id Pointer identifier.
+   */
+  endPointer(id) {
+    const pointer = this.pointers.get(id);
+    if (pointer) pointer.isEnded = true;
+  }
+
+  /**
+   * Update position and velocity of a single pointer.
+   *
+   * @param {(string|number)} id Pointer identifier.
+   * @param {number} x Horizontal position, in CSS pixels from the viewport.
+   * @param {number} y Vertical position, in CSS pixels from the viewport.
+   * @param {PointerEvent} [e] The event, for the pressure _and_ the contact size.
+   */
+  trackPointer(id, x, y, e) {
+    if (!this.rect) return;
+
+    let pointer = this.pointers.get(id);
+    if (!pointer || pointer.isEnded) {
+      // Ignore pointers over the limit until one of the others ends
+      if (!makeRoom(this.pointers, id, this.flowmap.maxPointers)) return;
+      pointer = createPointer();
+      this.pointers.set(id, pointer);
+    }
+
+    const { left, top, width, height } = this.rect;
+    movePointer(pointer, x - left, y - top, width, height);
+    if (e) pressPointer(pointer, e);
+  }
+
+  /**
+   * Advance the flowmap _and_ the transition. Called by the stage
+   * once per frame, while the element is in view.
+   * @param {number} t Current time, in ms.
+   */
+  update(t) {
+    const { flowmap } = this;
+
+    stampPointers(this.pointers, flowmap);
+    flowmap.aspect = this.rect.width / this.rect.height;
+    flowmap.update();
+    this.transition.update(t);
+    this.mesh.program.uniforms.uTime.value = t * 0.01;
+  }
+}
+
+if (!customElements.get('flowmap-image')) {
+  customElements.define('flowmap-image', FlowmapImage);
+}
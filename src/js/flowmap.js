@@ -0,0 +1,316 @@
+import {
+  Mesh,
+  Program,
+  RenderTarget,
+  Triangle,
+  Vec2,
+} from 'https://cdn.skypack.dev/ogl';
+
+const vertex = /* glsl */ `
+  attribute vec2 uv;
+  attribute vec2 position;
+
+  varying vec2 vUv;
+
+  void main() {
+    vUv = uv;
+    gl_Position = vec4(position, 0, 1);
+  }
+`;
+
+// Same stamp as OGL's Flowmap, repeated for every active pointer.
+// Loops in GLSL ES 1.0 need a constant bound, hence the `MAX_POINTERS` define
+const fragment = (maxPointers) => /* glsl */ `
+  precision highp float;
+
+  #define MAX_POINTERS ${maxPointers}
+
+  uniform sampler2D tMap;
+
+  uniform float uFalloff;
+  uniform float uAlpha;
+  uniform float uDissipation;
+
+  uniform float uAspect;
+  uniform vec2 uMouse[MAX_POINTERS];
+  uniform vec2 uVelocity[MAX_POINTERS];
+  // Scale of the falloff (x) and alpha (y) of each stamp
+  uniform vec2 uScale[MAX_POINTERS];
+  uniform int uCount;
+
+  varying vec2 vUv;
+
+  void main() {
+    vec4 color = texture2D(tMap, vUv) * uDissipation;
+
+    for (int i = 0; i < MAX_POINTERS; i++) {
+      if (i >= uCount) break;
+
+      vec2 cursor = vUv - uMouse[i];
+      cursor.x *= uAspect;
+
+      vec3 stamp = vec3(uVelocity[i] * vec2(1, -1), 1.0 - pow(1.0 - min(1.0, length(uVelocity[i])), 3.0));
+      float falloff = smoothstep(uFalloff * uScale[i].x, 0.0, length(cursor)) * uAlpha * uScale[i].y;
+
+      color.rgb = mix(color.rgb, stamp, vec3(falloff));
+    }
+
+    gl_FragColor = color;
+  }
+`;
+
+/**
+ * Default stamp parameters _and_ size of the flowmaps.
+ * @const @default
+ */
+export const FLOWMAP_DEFAULTS = {
+  size: 128,
+  falloff: 0.3,
+  alpha: 1,
+  dissipation: 0.98,
+  maxPointers: 5,
+};
+
+/**
+ * Create a square render target for the flow, w/ float texels.
+ *
+ * @param {WebGLRenderingContext} gl The GL context.
+ * @param {number} size Size of the render target.
+ * @param {number} [type] Type of the texels, half float by default.
+ * @returns {RenderTarget} The render target.
+ */
+export const createFlowTarget = (gl, size, type) => {
+  // Requested type not supported, fall back to half float
+  if (!type) {
+    type = gl.HALF_FLOAT
+      || gl.renderer.extensions['OES_texture_half_float'].HALF_FLOAT_OES;
+  }
+
+  let minFilter = (() => {
+    if (gl.renderer.isWebgl2) return gl.LINEAR;
+    if (gl.renderer.extensions[`OES_texture_${type === gl.FLOAT ? '' : 'half_'}float_linear`]) return gl.LINEAR;
+    return gl.NEAREST;
+  })();
+
+  return new RenderTarget(gl, {
+    width: size,
+    height: size,
+    type,
+    format: gl.RGBA,
+    internalFormat: gl.renderer.isWebgl2
+      ? (type === gl.FLOAT ? gl.RGBA32F : gl.RGBA16F)
+      : gl.RGBA,
+    minFilter,
+    depth: false,
+  });
+};
+
+/**
+ * Release the render targets of the flow.
+ *
+ * @param {WebGLRenderingContext} gl The GL context.
+ * @param {...RenderTarget} targets The render targets.
+ */
+export const deleteFlowTargets = (gl, ...targets) => {
+  targets.forEach((target) => {
+    gl.deleteFramebuffer(target.buffer);
+    target.textures.forEach((t) => gl.deleteTexture(t.texture));
+  });
+};
+
+/**
+ * ### Available parameters
+ * | Param         | Type     | Initially | Description                        |
+ * | ------------- | -------- | --------- | ---------------------------------- |
+ * | `size`        | `number` | `128`     | Default size of the render targets |
+ * | `falloff`     | `number` | `0.3`     | Size of the stamp, `%` of the size |
+ * | `alpha`       | `number` | `1`       | Opacity of the stamp               |
+ * | `dissipation` | `number` | `0.98`    | Affects the speed that the stamp fades |
+ * | `maxPointers` | `number` | `5`       | Maximum number of stamps per frame |
+ * ___
+ * A drop-in replacement for OGL's `Flowmap` that stamps
+ * every active pointer into the flow texture in a single pass,
+ * instead of the one `mouse`/`velocity` pair.
+ * The output {@linkcode MultiFlowmap#uniform|uniform} has the same layout.
+ *
+ * @example
+ * const flowmap = new MultiFlowmap(gl, { falloff: 0.2, maxPointers: 10 });
+ * flowmap.stamps[0].mouse.set(0.5);
+ * flowmap.stamps[0].velocity.set(0.1, 0);
+ * flowmap.count = 1;
+ * flowmap.update();
+ *
+ * ---
+ * ### References
+ * [ref1 demo]: https://oframe.github.io/ogl/examples/?src=mouse-flowmap.html
+ * [ref1 code]: https://github.com/oframe/ogl/blob/master/src/extras/Flowmap.js
+ * [ref1 by]: https://github.com/gordonnl
+ * [ref2 demo]: https://tympanus.net/Development/FlowmapDeformation/
+ * [ref2 code]: https://github.com/robin-dela/flowmap-effect
+ * [ref2 by]: https://github.com/robin-dela
+ * @see
+ * [Mouse&nbsp;Flowmap]{@link [ref1 demo]}, [source]{@link [ref1 code]}
+ * _by_ [Nathan Gordon]{@link [ref1 by]}
+ * @see
+ * [Flowmap&nbsp;Demos]{@link [ref2 demo]}, [tutorial]{@link [ref2 code]}
+ * _by_ [Robin Delaporte]{@link [ref2 by]}
+ */
+export class MultiFlowmap {
+  constructor(gl, {
+    size = FLOWMAP_DEFAULTS.size,
+    falloff = FLOWMAP_DEFAULTS.falloff,
+    alpha = FLOWMAP_DEFAULTS.alpha,
+    dissipation = FLOWMAP_DEFAULTS.dissipation,
+    maxPointers = FLOWMAP_DEFAULTS.maxPointers,
+    type,
+  } = {}) {
+    this.gl = gl;
+    this.maxPointers = Math.max(1, Math.floor(maxPointers));
+    // Stamp parameters to return to by `setParams()`
+    this.defaults = { falloff, alpha, dissipation };
+    // Stamp parameters applied, _and_ the ones passed to `setParams()`
+    this.params = this.defaults;
+    this.overrides = {};
+
+    // Output uniform containing render target textures
+    this.uniform = { value: null };
+
+    this.mask = {
+      read: null,
+      write: null,
+      // Ping pong the render targets and update the uniform
+      swap: () => {
+        [this.mask.read, this.mask.write] = [this.mask.write, this.mask.read];
+        this.uniform.value = this.mask.read.texture;
+      },
+    };
+
+    this.aspect = 1;
+    // Number of stamps used on the next update
+    this.count = 0;
+    this.stamps = Array.from({ length: this.maxPointers }, () => ({
+      mouse: new Vec2(-1),
+      velocity: new Vec2(),
+      scale: new Vec2(1),
+    }));
+
+    this.createFBOs(size, type);
+
+    this.mesh = new Mesh(gl, {
+      geometry: new Triangle(gl),
+      program: new Program(gl, {
+        vertex,
+        fragment: fragment(this.maxPointers),
+        uniforms: {
+          tMap: this.uniform,
+
+          uFalloff: { value: falloff * 0.5 },
+          uAlpha: { value: alpha },
+          uDissipation: { value: dissipation },
+
+          uAspect: { value: 1 },
+          uMouse: { value: this.stamps.map((s) => s.mouse) },
+          uVelocity: { value: this.stamps.map((s) => s.velocity) },
+          uScale: { value: this.stamps.map((s) => s.scale) },
+          uCount: { value: 0 },
+        },
+        depthTest: false,
+      }),
+    });
+  }
+
+  createFBOs(size, type) {
+    this.size = size;
+    this.type = type;
+    this.mask.read = createFlowTarget(this.gl, size, type);
+    this.mask.write = createFlowTarget(this.gl, size, type);
+    this.mask.swap();
+  }
+
+  /**
+   * The first stamp, to keep the `mouse`/`velocity` API of OGL's `Flowmap`.
+   * @type {Vec2}
+   */
+  get mouse() {
+    return this.stamps[0].mouse;
+  }
+
+  get velocity() {
+    return this.stamps[0].velocity;
+  }
+
+  /**
+   * Override the stamp parameters.
+   * Parameters that aren't passed return to the ones of the constructor.
+   *
+   * @param {Object.<string, number>} [params={}] Any of `falloff`, `alpha` _and_ `dissipation`.
+   */
+  setParams(params = {}) {
+    const { falloff, alpha, dissipation } = { ...this.defaults, ...params };
+    const { uniforms } = this.mesh.program;
+    this.params = { falloff, alpha, dissipation };
+    this.overrides = params;
+
+    uniforms.uFalloff.value = falloff * 0.5;
+    uniforms.uAlpha.value = alpha;
+    uniforms.uDissipation.value = dissipation;
+  }
+
+  /**
+   * Change the stamp parameters returned to by `setParams()`,
+   * keeping the ones it overrode.
+   *
+   * @param {Object.<string, number>} params Any of `falloff`, `alpha` _and_ `dissipation`.
+   */
+  setDefaults(params) {
+    this.defaults = { ...this.defaults, ...params };
+    this.setParams(this.overrides);
+  }
+
+  update() {
+    const { uniforms } = this.mesh.program;
+    uniforms.uAspect.value = this.aspect;
+    uniforms.uCount.value = Math.min(this.count, this.maxPointers);
+
+    this.gl.renderer.render({
+      scene: this.mesh,
+      target: this.mask.write,
+      clear: false,
+    });
+    this.mask.swap();
+  }
+
+  /**
+   * Resize the render targets, carrying the flow over resampled.
+   * @param {number} size Size of the render targets.
+   */
+  setSize(size) {
+    if (size === this.size) return;
+
+    const { read, write } = this.mask;
+    const { uniforms } = this.mesh.program;
+    this.createFBOs(size, this.type);
+
+    // A pass w/o stamps copies the old flow into the new targets
+    this.uniform.value = read.texture;
+    uniforms.uCount.value = 0;
+    this.gl.renderer.render({
+      scene: this.mesh,
+      target: this.mask.write,
+      clear: false,
+    });
+    this.mask.swap();
+
+    deleteFlowTargets(this.gl, read, write);
+  }
+
+  /**
+   * Release the render targets _and_ the program.
+   */
+  remove() {
+    this.mesh.program.remove();
+    this.mesh.geometry.remove();
+    deleteFlowTargets(this.gl, this.mask.read, this.mask.write);
+    this.uniform.value = null;
+  }
+}
@@ -0,0 +1,478 @@
+import {
+  Mesh,
+  Program,
+  Triangle,
+  Vec2,
+} from 'https://cdn.skypack.dev/ogl';
+import { FLOWMAP_DEFAULTS, createFlowTarget, deleteFlowTargets } from './flowmap.js';
+
+// Samples the neighbouring cells, for the finite differences
+const vertex = /* glsl */ `
+  attribute vec2 uv;
+  attribute vec2 position;
+
+  uniform vec2 uTexel;
+
+  varying vec2 vUv;
+  varying vec2 vL;
+  varying vec2 vR;
+  varying vec2 vT;
+  varying vec2 vB;
+
+  void main() {
+    vUv = uv;
+    vL = uv - vec2(uTexel.x, 0.0);
+    vR = uv + vec2(uTexel.x, 0.0);
+    vT = uv + vec2(0.0, uTexel.y);
+    vB = uv - vec2(0.0, uTexel.y);
+    gl_Position = vec4(position, 0, 1);
+  }
+`;
+
+const varyings = /* glsl */ `
+  precision highp float;
+
+  varying vec2 vUv;
+  varying vec2 vL;
+  varying vec2 vR;
+  varying vec2 vT;
+  varying vec2 vB;
+`;
+
+// Same stamps as the flowmap's, mixed into the velocity
+const splatFragment = (maxPointers) => /* glsl */ `
+  ${varyings}
+
+  #define MAX_POINTERS ${maxPointers}
+
+  uniform sampler2D tVelocity;
+
+  uniform float uFalloff;
+  uniform float uAlpha;
+
+  uniform float uAspect;
+  uniform vec2 uMouse[MAX_POINTERS];
+  uniform vec2 uVelocity[MAX_POINTERS];
+  uniform vec2 uScale[MAX_POINTERS];
+  uniform int uCount;
+
+  void main() {
+    vec2 velocity = texture2D(tVelocity, vUv).xy;
+
+    for (int i = 0; i < MAX_POINTERS; i++) {
+      if (i >= uCount) break;
+
+      vec2 cursor = vUv - uMouse[i];
+      cursor.x *= uAspect;
+
+      float falloff = smoothstep(uFalloff * uScale[i].x, 0.0, length(cursor)) * uAlpha * uScale[i].y;
+      velocity = mix(velocity, uVelocity[i] * vec2(1, -1), falloff);
+    }
+
+    gl_FragColor = vec4(velocity, 0, 1);
+  }
+`;
+
+const curlFragment = /* glsl */ `
+  ${varyings}
+
+  uniform sampler2D tVelocity;
+
+  void main() {
+    float L = texture2D(tVelocity, vL).y;
+    float R = texture2D(tVelocity, vR).y;
+    float T = texture2D(tVelocity, vT).x;
+    float B = texture2D(tVelocity, vB).x;
+
+    gl_FragColor = vec4(0.5 * (R - L - T + B), 0, 0, 1);
+  }
+`;
+
+// Push the velocity along the gradient of the curl, restoring the swirls
+// the advection smooths out. The step is a 60 fps frame
+const vorticityFragment = /* glsl */ `
+  ${varyings}
+
+  uniform sampler2D tVelocity;
+  uniform sampler2D tCurl;
+  uniform float uCurl;
+
+  void main() {
+    float L = texture2D(tCurl, vL).x;
+    float R = texture2D(tCurl, vR).x;
+    float T = texture2D(tCurl, vT).x;
+    float B = texture2D(tCurl, vB).x;
+    float C = texture2D(tCurl, vUv).x;
+
+    vec2 force = 0.5 * vec2(abs(T) - abs(B), abs(R) - abs(L));
+    force /= length(force) + 1e-4;
+    force *= uCurl * C * vec2(1, -1);
+
+    vec2 velocity = texture2D(tVelocity, vUv).xy + force / 60.0;
+    gl_FragColor = vec4(velocity, 0, 1);
+  }
+`;
+
+const divergenceFragment = /* glsl */ `
+  ${varyings}
+
+  uniform sampler2D tVelocity;
+
+  void main() {
+    float L = texture2D(tVelocity, vL).x;
+    float R = texture2D(tVelocity, vR).x;
+    float T = texture2D(tVelocity, vT).y;
+    float B = texture2D(tVelocity, vB).y;
+    vec2 C = texture2D(tVelocity, vUv).xy;
+
+    // The edges are walls the flow bounces off
+    if (vL.x < 0.0) L = -C.x;
+    if (vR.x > 1.0) R = -C.x;
+    if (vT.y > 1.0) T = -C.y;
+    if (vB.y < 0.0) B = -C.y;
+
+    gl_FragColor = vec4(0.5 * (R - L + T - B), 0, 0, 1);
+  }
+`;
+
+// Scales the texture, to carry part of the pressure over
+// to the next frame _or_ to copy the velocity on resize
+const scaleFragment = /* glsl */ `
+  ${varyings}
+
+  uniform sampler2D tMap;
+  uniform float uValue;
+
+  void main() {
+    gl_FragColor = uValue * texture2D(tMap, vUv);
+  }
+`;
+
+const jacobiFragment = /* glsl */ `
+  ${varyings}
+
+  uniform sampler2D tPressure;
+  uniform sampler2D tDivergence;
+
+  void main() {
+    float L = texture2D(tPressure, vL).x;
+    float R = texture2D(tPressure, vR).x;
+    float T = texture2D(tPressure, vT).x;
+    float B = texture2D(tPressure, vB).x;
+    float divergence = texture2D(tDivergence, vUv).x;
+
+    gl_FragColor = vec4((L + R + B + T - divergence) * 0.25, 0, 0, 1);
+  }
+`;
+
+// Subtract the pressure gradient, leaving the velocity free of divergence
+const gradientFragment = /* glsl */ `
+  ${varyings}
+
+  uniform sampler2D tPressure;
+  uniform sampler2D tVelocity;
+
+  void main() {
+    float L = texture2D(tPressure, vL).x;
+    float R = texture2D(tPressure, vR).x;
+    float T = texture2D(tPressure, vT).x;
+    float B = texture2D(tPressure, vB).x;
+
+    vec2 velocity = texture2D(tVelocity, vUv).xy - vec2(R - L, T - B);
+    gl_FragColor = vec4(velocity, 0, 1);
+  }
+`;
+
+// Semi-Lagrangian: trace the velocity back along itself.
+// Writes the flowmap's layout: the velocity, _and_ its intensity in blue
+const advectFragment = /* glsl */ `
+  ${varyings}
+
+  uniform sampler2D tVelocity;
+  uniform float uAdvection;
+  uniform float uDissipation;
+
+  void main() {
+    vec2 coord = vUv - texture2D(tVelocity, vUv).xy * uAdvection;
+    vec2 velocity = texture2D(tVelocity, coord).xy * uDissipation;
+
+    gl_FragColor = vec4(velocity, 1.0 - pow(1.0 - min(1.0, length(velocity)), 3.0), 1);
+  }
+`;
+
+/**
+ * ### Available parameters
+ * | Param         | Type     | Initially | Description                        |
+ * | ------------- | -------- | --------- | ---------------------------------- |
+ * | `size`        | `number` | `128`     | Size of the simulation grid        |
+ * | `falloff`     | `number` | `0.3`     | Size of the stamp, `%` of the size |
+ * | `alpha`       | `number` | `1`       | Opacity of the stamp               |
+ * | `dissipation` | `number` | `0.98`    | Affects the speed that the flow fades |
+ * | `maxPointers` | `number` | `5`       | Maximum number of stamps per frame |
+ * | `iterations`  | `number` | `20`      | Jacobi iterations of the pressure solve |
+ * | `curl`        | `number` | `20`      | Strength of the vorticity confinement |
+ * | `pressure`    | `number` | `0.8`     | Part of the pressure carried over to the next frame |
+ * | `advection`   | `number` | `0.01`    | Distance the flow carries itself per frame, `uv` per unit of velocity |
+ * ___
+ * A fluid solver in place of the {@linkcode MultiFlowmap}: the stamps
+ * push the velocity, which then carries itself along (semi-Lagrangian
+ * advection), stays free of divergence (Jacobi iterations of the pressure)
+ * and keeps its swirls (vorticity confinement).
+ * The output {@linkcode FluidFlowmap#uniform|uniform} has the same layout
+ * as the flowmap's, so the effect's shader reads either one.
+ * The iterations _and_ the size trade the accuracy for the frame time.
+ *
+ * @example
+ * const fluid = new FluidFlowmap(gl, { size: 96, iterations: 10 });
+ * fluid.stamps[0].mouse.set(0.5);
+ * fluid.stamps[0].velocity.set(0.1, 0);
+ * fluid.count = 1;
+ * fluid.update();
+ *
+ * ---
+ * ### References
+ * [ref1 code]: https://github.com/PavelDoGreat/WebGL-Fluid-Simulation
+ * [ref1 by]: https://github.com/PavelDoGreat
+ * [ref2 paper]: https://developer.nvidia.com/gpugems/gpugems/part-vi-beyond-triangles/chapter-38-fast-fluid-dynamics-simulation-gpu
+ * @see
+ * [WebGL&nbsp;Fluid&nbsp;Simulation]{@link [ref1 code]}
+ * _by_ [Pavel Dobryakov]{@link [ref1 by]}
+ * @see
+ * [Fast&nbsp;Fluid&nbsp;Dynamics&nbsp;Simulation&nbsp;on&nbsp;the&nbsp;GPU]{@link [ref2 paper]}
+ */
+export class FluidFlowmap {
+  constructor(gl, {
+    size = FLOWMAP_DEFAULTS.size,
+    falloff = FLOWMAP_DEFAULTS.falloff,
+    alpha = FLOWMAP_DEFAULTS.alpha,
+    dissipation = FLOWMAP_DEFAULTS.dissipation,
+    maxPointers = FLOWMAP_DEFAULTS.maxPointers,
+    type,
+    iterations = 20,
+    curl = 20,
+    pressure = 0.8,
+    advection = 0.01,
+  } = {}) {
+    this.gl = gl;
+    this.maxPointers = Math.max(1, Math.floor(maxPointers));
+    this.iterations = Math.max(1, Math.floor(iterations));
+    // Part of the pressure carried over to the next frame
+    this.pressure = pressure;
+    // Stamp parameters to return to by `setParams()`
+    this.defaults = { falloff, alpha, dissipation };
+    // Stamp parameters applied, _and_ the ones passed to `setParams()`
+    this.params = this.defaults;
+    this.overrides = {};
+
+    // Output uniform containing the velocity texture
+    this.uniform = { value: null };
+
+    this.aspect = 1;
+    // Number of stamps used on the next update
+    this.count = 0;
+    this.stamps = Array.from({ length: this.maxPointers }, () => ({
+      mouse: new Vec2(-1),
+      velocity: new Vec2(),
+      scale: new Vec2(1),
+    }));
+
+    this.texel = { value: new Vec2() };
+    this.createFBOs(size, type);
+
+    const geometry = new Triangle(gl);
+    const pass = (fragment, uniforms = {}) => new Mesh(gl, {
+      geometry,
+      program: new Program(gl, {
+        vertex,
+        fragment,
+        uniforms: { uTexel: this.texel, ...uniforms },
+        depthTest: false,
+      }),
+    });
+
+    this.passes = {
+      splat: pass(splatFragment(this.maxPointers), {
+        tVelocity: { value: null },
+        uFalloff: { value: falloff * 0.5 },
+        uAlpha: { value: alpha },
+        uAspect: { value: 1 },
+        uMouse: { value: this.stamps.map((s) => s.mouse) },
+        uVelocity: { value: this.stamps.map((s) => s.velocity) },
+        uScale: { value: this.stamps.map((s) => s.scale) },
+        uCount: { value: 0 },
+      }),
+      curl: pass(curlFragment, {
+        tVelocity: { value: null },
+      }),
+      vorticity: pass(vorticityFragment, {
+        tVelocity: { value: null },
+        tCurl: { value: null },
+        uCurl: { value: curl },
+      }),
+      divergence: pass(divergenceFragment, {
+        tVelocity: { value: null },
+      }),
+      scale: pass(scaleFragment, {
+        tMap: { value: null },
+        uValue: { value: 1 },
+      }),
+      jacobi: pass(jacobiFragment, {
+        tPressure: { value: null },
+        tDivergence: { value: null },
+      }),
+      gradient: pass(gradientFragment, {
+        tPressure: { value: null },
+        tVelocity: { value: null },
+      }),
+      advect: pass(advectFragment, {
+        tVelocity: { value: null },
+        uAdvection: { value: advection },
+        uDissipation: { value: dissipation },
+      }),
+    };
+  }
+
+  createFBOs(size, type) {
+    const { gl } = this;
+    const double = () => {
+      const target = {
+        read: createFlowTarget(gl, size, type),
+        write: createFlowTarget(gl, size, type),
+        // Ping pong the render targets
+        swap: () => ([target.read, target.write] = [target.write, target.read]),
+      };
+      return target;
+    };
+
+    this.size = size;
+    this.type = type;
+    this.texel.value.set(1 / size);
+    this.targets = {
+      velocity: double(),
+      pressure: double(),
+      curl: createFlowTarget(gl, size, type),
+      divergence: createFlowTarget(gl, size, type),
+    };
+    this.uniform.value = this.targets.velocity.read.texture;
+  }
+
+  /**
+   * Render a pass into the target.
+   *
+   * @param {string} name Name of the pass.
+   * @param {RenderTarget} target The target.
+   * @param {Object.<string, RenderTarget>} [inputs={}] Targets to sample,
+   * by the name of their uniform.
+   */
+  run(name, target, inputs = {}) {
+    const mesh = this.passes[name];
+    const { uniforms } = mesh.program;
+
+    Object.entries(inputs).forEach(([key, input]) => {
+      uniforms[key].value = input.texture;
+    });
+    this.gl.renderer.render({ scene: mesh, target, clear: false });
+  }
+
+  /**
+   * Override the stamp parameters.
+   * Parameters that aren't passed return to the ones of the constructor.
+   *
+   * @param {Object.<string, number>} [params={}] Any of `falloff`, `alpha` _and_ `dissipation`.
+   */
+  setParams(params = {}) {
+    const { falloff, alpha, dissipation } = { ...this.defaults, ...params };
+    this.params = { falloff, alpha, dissipation };
+    this.overrides = params;
+
+    this.passes.splat.program.uniforms.uFalloff.value = falloff * 0.5;
+    this.passes.splat.program.uniforms.uAlpha.value = alpha;
+    this.passes.advect.program.uniforms.uDissipation.value = dissipation;
+  }
+
+  /**
+   * Change the stamp parameters returned to by `setParams()`,
+   * keeping the ones it overrode.
+   *
+   * @param {Object.<string, number>} params Any of `falloff`, `alpha` _and_ `dissipation`.
+   */
+  setDefaults(params) {
+    this.defaults = { ...this.defaults, ...params };
+    this.setParams(this.overrides);
+  }
+
+  /**
+   * Resize the grid, carrying the velocity over resampled.
+   * @param {number} size Size of the grid.
+   */
+  setSize(size) {
+    if (size === this.size) return;
+
+    const { targets } = this;
+    this.createFBOs(size, this.type);
+
+    this.passes.scale.program.uniforms.uValue.value = 1;
+    this.run('scale', this.targets.velocity.read, { tMap: targets.velocity.read });
+
+    this.deleteFBOs(targets);
+  }
+
+  deleteFBOs({ velocity, pressure, curl, divergence }) {
+    deleteFlowTargets(
+      this.gl,
+      velocity.read,
+      velocity.write,
+      pressure.read,
+      pressure.write,
+      curl,
+      divergence,
+    );
+  }
+
+  update() {
+    const {
+      velocity,
+      pressure,
+      curl,
+      divergence,
+    } = this.targets;
+    const { uniforms } = this.passes.splat.program;
+    uniforms.uAspect.value = this.aspect;
+    uniforms.uCount.value = Math.min(this.count, this.maxPointers);
+
+    this.run('splat', velocity.write, { tVelocity: velocity.read });
+    velocity.swap();
+
+    this.run('curl', curl, { tVelocity: velocity.read });
+    this.run('vorticity', velocity.write, { tVelocity: velocity.read, tCurl: curl });
+    velocity.swap();
+
+    this.run('divergence', divergence, { tVelocity: velocity.read });
+    this.passes.scale.program.uniforms.uValue.value = this.pressure;
+    this.run('scale', pressure.write, { tMap: pressure.read });
+    pressure.swap();
+
+    for (let i = 0; i < this.iterations; i++) {
+      this.run('jacobi', pressure.write, { tPressure: pressure.read, tDivergence: divergence });
+      pressure.swap();
+    }
+
+    this.run('gradient', velocity.write, { tPressure: pressure.read, tVelocity: velocity.read });
+    velocity.swap();
+
+    this.run('advect', velocity.write, { tVelocity: velocity.read });
+    velocity.swap();
+
+    this.uniform.value = velocity.read.texture;
+  }
+
+  /**
+   * Release the render targets _and_ the programs.
+   */
+  remove() {
+    Object.values(this.passes).forEach((mesh) => mesh.program.remove());
+    this.passes.splat.geometry.remove();
+    this.deleteFBOs(this.targets);
+    this.uniform.value = null;
+  }
+}
@@ -0,0 +1,101 @@
+/**
+ * Image formats in the order of preference: smallest files first.
+ * @const @default
+ */
+export const FORMAT_CHAIN = ['avif', 'webp', 'jpg'];
+
+// 1×1 px images to probe the decoders with
+const PROBES = {
+  avif: 'data:image/avif;base64,AAAAIGZ0eXBhdmlmAAAAAGF2aWZtaWYxbWlhZk1BMUIAAADybWV0YQAAAAAAAAAoaGRscgAAAAAAAAAAcGljdAAAAAAAAAAAAAAAAGxpYmF2aWYAAAAADnBpdG0AAAAAAAEAAAAeaWxvYwAAAABEAAABAAEAAAABAAABGgAAAB0AAAAoaWluZgAAAAAAAQAAABppbmZlAgAAAAABAABhdjAxQ29sb3IAAAAAamlwcnAAAABLaXBjbwAAABRpc3BlAAAAAAAAAAIAAAACAAAAEHBpeGkAAAAAAwgICAAAAAxhdjFDgQ0MAAAAABNjb2xybmNseAACAAIAAYAAAAAXaXBtYQAAAAAAAAABAAEEAQKDBAAAACVtZGF0EgAKCBgANogQEAwgMg8f8D///8WfhwB8+ErK42A=',
+  webp: 'data:image/webp;base64,UklGRiIAAABXRUJQVlA4IBYAAAAwAQCdASoBAAEADsD+JaQAA3AAAAAA',
+};
+
+/**
+ * Check whether the browser can decode the format.
+ *
+ * @param {string} format One of the {@link FORMAT_CHAIN|formats}.
+ * @returns {Promise.<boolean>}
+ */
+const canDecode = (format) => {
+  if (!PROBES[format]) return Promise.resolve(format === 'jpg' || format === 'jpeg');
+
+  return new Promise((resolve) => {
+    const img = new Image();
+    img.onload = () => resolve(img.width > 0 && img.height > 0);
+    img.onerror = () => resolve(false);
+    img.src = PROBES[format];
+  });
+};
+
+let detected = null;
+
+/**
+ * Detect which of the {@link FORMAT_CHAIN|formats} the browser can decode.
+ * The probes run once per page.
+ *
+ * @returns {Promise.<Set.<string>>} The decodable formats.
+ */
+export const detectFormats = () => {
+  detected ??= Promise.all(FORMAT_CHAIN.map(canDecode))
+    .then((results) => new Set([
+      ...FORMAT_CHAIN.filter((_, idx) => results[idx]),
+      'jpeg',
+    ]));
+
+  return detected;
+};
+
+/**
+ * Pick the first format of the chain the browser can decode.
+ *
+ * @param {Set.<string>} supported The {@link detectFormats|decodable formats}.
+ * @param {string[]} [chain=FORMAT_CHAIN] Formats available, in the order of preference.
+ * @returns {string} The format, _or_ the last one of the chain as a fallback.
+ *
+ * @example
+ * // returns 'webp' in a browser w/o AVIF support
+ * pickFormat(await detectFormats(), ['avif', 'webp', 'jpg']);
+ */
+export const pickFormat = (supported, chain = FORMAT_CHAIN) => (
+  chain.find((format) => supported.has(format)) || chain[chain.length - 1]
+);
+
+/**
+ * Pick the smallest resolution variant that still covers the canvas
+ * at the device pixel ratio, and fits the GPU's maximum texture size.
+ *
+ * @param {number[]} widths Widths of the variants, in px.
+ * @param {Object.<string, number>} target Size of the image _and_ of the canvas:
+ * `imageWidth`, `imageHeight`, `width`, `height`, `dpr` _and_ `maxTextureSize`.
+ * @returns {(number|undefined)} Width of the variant, if any declared.
+ *
+ * @example
+ * // returns 1500 for a 375×812 phone screen at 2x: it needs 1218 px
+ * // of the image's width to cover the 812 px tall canvas
+ * pickWidth([750, 1500, 3024], {
+ *   imageWidth: 3024, imageHeight: 4032,
+ *   width: 375, height: 812, dpr: 2, maxTextureSize: 4096,
+ * });
+ */
+export const pickWidth = (widths, target) => {
+  if (!widths || !widths.length) return undefined;
+
+  const {
+    imageWidth,
+    imageHeight,
+    width,
+    height,
+    dpr = 1,
+    maxTextureSize = Infinity,
+  } = target;
+  const ratio = imageHeight / imageWidth;
+  // Width of the image when scaled to cover the canvas
+  const needed = Math.max(width, height / ratio) * dpr;
+  const fitting = [...widths]
+    .sort((a, b) => a - b)
+    .filter((w) => w <= maxTextureSize && w * ratio <= maxTextureSize);
+
+  if (!fitting.length) return Math.min(...widths);
+
+  return fitting.find((w) => w >= needed) || fitting[fitting.length - 1];
+};
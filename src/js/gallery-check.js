@@ -0,0 +1,157 @@
+// https://jsdoc.app/tags-enum.html
+/**
+ * Enum for imagesComparisonData values: the outcome of comparing
+ * a pair of neighbouring images.
+ * @readonly
+ * @enum {number}
+ */
+export const imagesComparisonData = {
+  /** The `true` value, they're alike */
+  TRUE: 1,
+  /** The `falsy` value, they differ */
+  FALSE: -1,
+};
+
+/**
+ * @typedef {Object} imagesComparisonArgs
+ * Compare of Textures.
+ * Compare every image w/ the next one and get {@link imagesComparisonData|data}
+ * about their similarity, by the chain:
+ * > `image1 is size-by-size equivalent to image2,`
+ * > `image2 to image3, etc.`
+ *
+ * @prop {imagesComparisonData[]} sizes Whether each pair has the same size.
+ * @prop {imagesComparisonData[]} ratios Whether each pair has the same aspect ratio.
+ * @prop {number[][]} sizeGroups Indices of the images, grouped by their size.
+ * @prop {number[][]} ratioGroups Indices of the images, grouped by their aspect ratio.
+ * @prop {boolean} isEqualSizeBySize All the images have the same size.
+ * @prop {boolean} hasDifferInRatios Some of the images differ in aspect ratios.
+ */
+
+/**
+ * Relative difference of the aspect ratios still considered the same,
+ * e.g. from rounding of the resized variants.
+ * @const @default
+ */
+export const RATIO_TOLERANCE = 0.01;
+
+const isSameSize = ([w1, h1], [w2, h2]) => w1 === w2 && h1 === h2;
+
+const isSameRatio = ([w1, h1], [w2, h2], tolerance = RATIO_TOLERANCE) => (
+  Math.abs((w1 / h1) / (w2 / h2) - 1) <= tolerance
+);
+
+/**
+ * Group the indices of the items that match the first item of a group.
+ *
+ * @param {Array} items The items.
+ * @param {function(*, *): boolean} isSame Comparison of two items.
+ * @returns {number[][]} The groups, in the order of their first items.
+ */
+const groupBy = (items, isSame) => items.reduce((groups, item, idx) => {
+  const group = groups.find(([first]) => isSame(items[first], item));
+  if (group) group.push(idx);
+  else groups.push([idx]);
+  return groups;
+}, []);
+
+/**
+ * Compare the sizes _and_ the aspect ratios of the images by the chain.
+ *
+ * @param {number[][]} sizes Sizes of the images, `[width, height]` each.
+ * @param {number} [tolerance=RATIO_TOLERANCE] Relative difference of the ratios
+ * still considered the same.
+ * @returns {imagesComparisonArgs} The comparison.
+ *
+ * @example
+ * compareImages([[3024, 4032], [1512, 2016], [4032, 3024]]);
+ * // → { sizes: [-1, -1], ratios: [1, -1], ratioGroups: [[0, 1], [2]], … }
+ */
+export const compareImages = (sizes, tolerance = RATIO_TOLERANCE) => {
+  const { TRUE, FALSE } = imagesComparisonData;
+  const pairs = sizes.slice(1).map((size, idx) => [sizes[idx], size]);
+  const sizeGroups = groupBy(sizes, isSameSize);
+  const ratioGroups = groupBy(sizes, (a, b) => isSameRatio(a, b, tolerance));
+
+  return {
+    sizes: pairs.map(([a, b]) => (isSameSize(a, b) ? TRUE : FALSE)),
+    ratios: pairs.map(([a, b]) => (isSameRatio(a, b, tolerance) ? TRUE : FALSE)),
+    sizeGroups,
+    ratioGroups,
+    isEqualSizeBySize: sizeGroups.length <= 1,
+    hasDifferInRatios: ratioGroups.length > 1,
+  };
+};
+
+/**
+ * Derive the {@link switchProps|texture switching options} from the comparison.
+ *
+ * @param {imagesComparisonArgs} comparison The comparison.
+ * @returns {switchProps} The options.
+ */
+export const toSwitchProps = ({ isEqualSizeBySize, hasDifferInRatios }) => ({
+  hasEqualDims: isEqualSizeBySize,
+  // The negation of each other
+  hasDiffSizes: !isEqualSizeBySize,
+  hasDiffRatio: hasDifferInRatios,
+});
+
+/**
+ * @typedef {Object} galleryReport
+ * The outcome of {@link checkGallery|checking} the gallery.
+ *
+ * @prop {imagesComparisonArgs} comparison Comparison of the images,
+ * by their natural size where it's known, by the declared one otherwise.
+ * @prop {switchProps} switchProps Options the textures are switched w/.
+ * @prop {Object[]} mismatches Entries whose declared size disagrees w/ the natural
+ * size of the image: `index`, `url`, `declared`, `natural` _and_ the `kind`,
+ * `'ratio'` if the aspect ratio is off, `'size'` if only the size is.
+ * @prop {boolean} isConsistent Whether no entry disagrees.
+ */
+
+/**
+ * Check the gallery entries against the natural sizes of their images.
+ * The size of an entry w/ `src` variants isn't checked, only its aspect ratio,
+ * as any of its resolutions may be the one loaded.
+ *
+ * @param {galleryEntry[]} entries The entries, w/ their declared `width` _and_ `height`.
+ * @param {Array.<?number[]>} [naturalSizes=[]] Natural sizes of the images loaded
+ * so far, `[width, height]` by the index of the entry.
+ * @param {number} [tolerance=RATIO_TOLERANCE] Relative difference of the ratios
+ * still considered the same.
+ * @returns {galleryReport} The report.
+ *
+ * @example
+ * const { mismatches } = checkGallery(images, [[img.naturalWidth, img.naturalHeight]]);
+ */
+export const checkGallery = (entries, naturalSizes = [], tolerance = RATIO_TOLERANCE) => {
+  const mismatches = [];
+  const sizes = entries.map((entry, index) => {
+    const declared = [entry.width, entry.height];
+    const natural = naturalSizes[index];
+    if (!natural) return declared;
+
+    let kind = null;
+    if (!isSameRatio(declared, natural, tolerance)) kind = 'ratio';
+    else if (!entry.src && !isSameSize(declared, natural)) kind = 'size';
+
+    if (kind) {
+      mismatches.push({
+        index,
+        url: entry.url,
+        declared,
+        natural,
+        kind,
+      });
+    }
+    return natural;
+  });
+  const comparison = compareImages(sizes, tolerance);
+
+  return {
+    comparison,
+    switchProps: toSwitchProps(comparison),
+    mismatches,
+    isConsistent: !mismatches.length,
+  };
+};
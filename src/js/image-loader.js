@@ -0,0 +1,166 @@
+/**
+ * @typedef {Object} imageProps
+ * __The object includes a set of essential image's attributes:__
+ * 1. CORS settings — no credentials `'anonymous'`, so the image
+ * doesn't taint the canvas it's uploaded from
+ * 2. Referrer policy
+ * 3. Decoding hint
+ * 4. Loading deferral
+ *
+ * @prop {string} [cors='anonymous'] Its purpose is to allow images loaded remotely
+ * from 3rd-party sites that allow _cross-origin_ access
+ * (such as external media hosting service) to be used w/ canvas.
+ * `'use-credentials'` sends the cookies along.
+ * @prop {string} [policy='no-referrer'] Explicitly set a privacy-enhancing policy,
+ * such as `'strict-origin-when-cross-origin'` (or stricter)
+ * @prop {string} [decode='async'] Decoding hint for processing this image
+ * @prop {string} [load='eager'] Used when determining loading deferral
+ */
+
+/**
+ * @typedef {Object} loadingProps
+ * The object includes a set of options for {@link fetchImage|loading} the images.
+ *
+ * @prop {number} [timeout=15000] Time an attempt may take, in ms,
+ * before it's abandoned. `0` waits for as long as the browser does.
+ * @prop {number} [retries=2] Number of attempts after the first failed one.
+ * @prop {number} [retryDelay=500] Delay before the first retry, in ms,
+ * doubled for each next one.
+ * @prop {boolean} [placeholder=true] Show the `placeholder` of the gallery entry,
+ * _or_ its background colour, until the image decodes. `false` holds
+ * the image on screen instead.
+ * @prop {string} [cors='anonymous'] CORS settings of the images.
+ */
+
+/**
+ * Default {@link loadingProps|loading options}.
+ * @const @default
+ */
+export const LOADING_DEFAULTS = {
+  timeout: 15000,
+  retries: 2,
+  retryDelay: 500,
+  placeholder: true,
+  cors: 'anonymous',
+};
+
+/**
+ * Creates a node to load the image resource w/ CORS mode.
+ *
+ * @function createImage
+ * @param {imageProps} [attrs={}] A set of essential attributes.
+ * @returns {HTMLImageElement} The img element, w/o its `src`.
+ */
+export function createImage({
+  cors = 'anonymous',
+  policy = 'no-referrer',
+  decode = 'async',
+  load = 'eager',
+} = {}) {
+  // Create the image node
+  const img = new Image();
+
+  // Set before the `src`, _or_ the image is fetched w/o CORS
+  img.crossOrigin = cors;
+  img.referrerPolicy = policy;
+  img.decoding = decode;
+  img.loading = load;
+
+  return img;
+}
+
+/**
+ * Wait for the delay, unless cancelled.
+ *
+ * @param {number} delay Time to wait, in ms.
+ * @param {AbortSignal} [signal] Cancels the wait.
+ * @returns {Promise} Rejects w/ the reason of the signal, if cancelled.
+ */
+const wait = (delay, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, delay);
+
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Load _and_ decode the image once, within the time limit.
+ *
+ * @param {string} url URL of the image.
+ * @param {number} timeout Time limit, in ms, `0` for none.
+ * @param {AbortSignal} [signal] Cancels the loading.
+ * @param {imageProps} attrs Attributes of the image.
+ * @returns {Promise.<HTMLImageElement>} The decoded image.
+ */
+const attempt = (url, timeout, signal, attrs) => new Promise((resolve, reject) => {
+  const img = createImage(attrs);
+  let timer;
+
+  const fail = (reason) => {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+    // Stop the download
+    img.removeAttribute('src');
+    reject(reason);
+  };
+  const onAbort = () => fail(signal.reason);
+
+  signal?.addEventListener('abort', onAbort, { once: true });
+  if (timeout > 0) {
+    timer = setTimeout(() => fail(new DOMException(`Timed out after ${timeout} ms: ${url}`, 'TimeoutError')), timeout);
+  }
+
+  img.src = url;
+  img.decode().then(() => {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+    resolve(img);
+  }, (e) => {
+    // Already failed by the timeout _or_ the signal
+    if (img.hasAttribute('src')) fail(e);
+  });
+});
+
+/**
+ * Load the image by its URL, decoded before it's uploaded,
+ * retrying w/ an exponential backoff.
+ *
+ * @async
+ * @param {string} url URL of the image.
+ * @param {loadingProps} [options={}] A set of loading options,
+ * w/ the `signal` that cancels the loading.
+ * @returns {Promise.<HTMLImageElement>} The decoded image.
+ * @throws {DOMException} The failure of the last attempt, a `TimeoutError`
+ * if it took too long, _or_ an `AbortError` if cancelled.
+ *
+ * @example
+ * const controller = new AbortController();
+ * const img = await fetchImage('tex/img1-1500w-q80.jpg', { retries: 3, signal: controller.signal });
+ */
+export async function fetchImage(url, options = {}) {
+  const {
+    timeout,
+    retries,
+    retryDelay,
+    cors,
+    signal,
+  } = { ...LOADING_DEFAULTS, ...options };
+
+  for (let i = 0; ; i++) {
+    signal?.throwIfAborted();
+
+    try {
+      return await attempt(url, timeout, signal, { cors });
+    } catch (e) {
+      if (signal?.aborted || i >= retries) throw e;
+    }
+
+    await wait(retryDelay * 2 ** i, signal);
+  }
+}
@@ -1,5 +1,5 @@
 import {
-  Flowmap,
+  Color,
   Geometry,
   Mesh,
   Program,
@@ -8,50 +8,39 @@ import {
   Vec2,
   Vec4,
 } from 'https://cdn.skypack.dev/ogl';
+import { fragment, vertex } from './shaders.js';
+import { MultiFlowmap } from './flowmap.js';
+import { FluidFlowmap } from './fluid.js';
+import { TextureTransition } from './transitions.js';
+import { SLIDESHOW_KEYS, Slideshow } from './slideshow.js';
+import { isColor, loadManifest } from './manifest.js';
+import { detectFormats, pickFormat, pickWidth } from './formats.js';
+import { TextureError, TextureManager } from './texture-manager.js';
+import { LOADING_DEFAULTS, fetchImage } from './image-loader.js';
+import { checkGallery } from './gallery-check.js';
+import { computeFit } from './fit.js';
+import { DISTORTION_PRESETS, Distortion } from './distortion.js';
+import { MediaTexture } from './media.js';
+import { TextSource, isSVG, readTextStyles } from './text-source.js';
+import { Recorder } from './recorder.js';
+import { InputRecorder, InputReplay } from './pointer-replay.js';
+import { AttractMode } from './attract.js';
+import { watchReducedMotion } from './motion.js';
+import { QUALITY_DEFAULTS, QualityGovernor } from './quality.js';
+import {
+  createPointer,
+  makeRoom,
+  movePointer,
+  pressPointer,
+  resolvePhysics,
+  stampPointers,
+} from './pointer.js';
 
-let win = window,
-  { innerWidth: vw, innerHeight: vh } = win;
+let win = window;
 
 let doc = document,
   { documentElement: root, body } = doc;
 
-const vertex = /* glsl */ `
-  attribute vec2 uv;
-  attribute vec2 position;
-
-  varying vec2 vUv;
-
-  void main() {
-    vUv = uv;
-    gl_Position = vec4(position, 0, 1);
-  }
-`;
-const fragment = /* glsl */ `
-  precision highp float;
-  precision highp int;
-
-  uniform sampler2D tWater;
-  uniform sampler2D tFlow;
-  uniform float uTime;
-
-  varying vec2 vUv;
-  uniform vec4 res;
-
-  void main() {
-    // R and G values are velocity in the x and y direction
-    // B value is the velocity length
-    vec3 flow = texture2D(tFlow, vUv).rgb;
-
-    // Use flow to adjust the uv lookup of a texture
-    vec2 uv = .5 * gl_FragCoord.xy / res.xy ;
-    vec2 myUV = (uv - vec2(0.5)) * res.zw + vec2(0.5);
-    myUV -= flow.xy * (0.15 * 0.7);
-    vec3 tex = texture2D(tWater, myUV).rgb;
-
-    gl_FragColor = vec4(tex.r, tex.g, tex.b, 1.0);
-  }
-`;
-
 /**
  * The object inludes the essential set of WebGL context attributes
  * that are used by the OGL's {@linkcode Renderer} class.
@@ -86,115 +75,6 @@ const fragment = /* glsl */ `
  * @prop {Function} gl
  */
 
-/**
- * Represents the class from OGL's [Core Component]{@link [core]}
- * that is used for rendering the scene.
- * Its purpose is to prepare/set up the WebGL context
- * by passing the necessary set of {@link ctxAttrs|context attributes},
- * and start rendering the content.
- *
- * @external @class Renderer
- * @param {...ctxAttrs} attributes A set of context attributes.
- * @constant
- * ___
- * [repo]: https://github.com/oframe/ogl/
- * [core]: https://github.com/oframe/ogl/tree/master/src/core
- * [file]: https://github.com/oframe/ogl/blob/master/src/core/Renderer.js
- * [line]: https://github.com/oframe/ogl/blob/master/src/core/Renderer.js#L16
- * @see
- * [Definition]{@link [line]} _in_ [OGL Source Code]{@link [repo]}
- */
-const renderer = new Renderer({ dpr: 2 });
-
-/**
- * The variable `gl` is reference to a successfully initialized context.
- * @summary Initialize the GL context.
- *
- * @memberof external:Renderer#
- * @instance
- * @constant
- * ___
- * [file]: https://github.com/oframe/ogl/blob/master/src/core/Renderer.js
- * [line]: https://github.com/oframe/ogl/blob/master/src/core/Renderer.js#L43
- * @see
- * [Definition]{@link [line]} _in_ [OGL's Renderer Source Code]{@link [file]}
- */
-const gl = renderer.gl;
-body.appendChild(gl.canvas);
-
-// Variable inputs to control flowmap
-let aspect = 1;
-const mouse = new Vec2(-1);
-const velocity = new Vec2();
-
-// function resize() {
-//   renderer.setSize(window.innerWidth, window.innerHeight);
-//   aspect = window.innerWidth / window.innerHeight;
-// }
-// window.addEventListener('resize', resize, false);
-// resize();
-
-/**
- * ### Available parameters
- * | Param         | Type     | Initially | Description                        |
- * | ------------- | -------- | --------- | ---------------------------------- |
- * | `size`        | `number` | `128`     | Default size of the render targets |
- * | `falloff`     | `number` | `0.3`     | Size of the stamp, `%` of the size |
- * | `alpha`       | `number` | `1`       | Opacity of the stamp               |
- * | `dissipation` | `number` | `0.98`    | Affects the speed that the stamp fades |
- * ___
- * @example
- * const flowmap = new ogl.Flowmap(gl, { falloff: 0.2, dissipation: 0.9 });
- *
- * @external
- * @class external:Flowmap#
- * @module Flowmap
- *
- * ---
- * ### References
- * [ref1 demo]: https://oframe.github.io/ogl/examples/?src=mouse-flowmap.html
- * [ref1 code]: https://github.com/oframe/ogl/blob/master/examples/mouse-flowmap.htmll#L20
- * [ref1 by]: https://github.com/gordonnl
- * [ref2 demo]: https://tympanus.net/Development/FlowmapDeformation/
- * [ref2 code]: https://github.com/robin-dela/flowmap-effect
- * [ref2 by]: https://github.com/robin-dela
- * @see
- * [Mouse&nbsp;Flowmap]{@link [ref1 demo]}, [example]{@link [ref1 code]}
- * _by_ [Nathan Gordon]{@link [ref1 by]}
- * @see
- * [Flowmap&nbsp;Demos]{@link [ref2 demo]}, [tutorial]{@link [ref2 code]}
- * _by_ [Robin Delaporte]{@link [ref2 by]}
- */
-const flowmap = new Flowmap(gl);
-
-const geometry = new Geometry(gl, {
-  position: {
-    size: 2,
-    data: new Float32Array([-1, -1, 3, -1, -1, 3]),
-  },
-  uv: { size: 2, data: new Float32Array([0, 0, 2, 0, 0, 2]) },
-});
-
-const texture = new Texture(gl, {
-  minFilter: gl.LINEAR,
-  magFilter: gl.LINEAR,
-});
-
-// Default rendered dimensions of the image
-// w/ 3:4 (SD) aspect ratio
-const imageSize = { w: 3000, h: 4000, ar: [(3/4), (4/3)] };
-
-let a1, a2;
-let imgAspectRatio = (imageSize.h / imageSize.w);
-let winAspectRatio = (vh / vw);
-
-if (winAspectRatio < imgAspectRatio) {
-  a1 = 1;
-  a2 = (winAspectRatio / imgAspectRatio);
-} else {
-  a1 = (vw / vh) * imgAspectRatio;
-  a2 = 1;
-}
 
 /** @const @default */
 const SRCDIR = 'src'; // source directory
@@ -202,6 +82,35 @@ const SRCDIR = 'src'; // source directory
 const encodeURL = (str = '') => encodeURIComponent(str);
 const decodeURL = (str = '') => decodeURIComponent(str);
 
+/**
+ * Serialize the state into the `key=value` pairs of a hash _or_ a query.
+ * @param {Object.<string, *>} state Values by their keys, `undefined` ones are left out.
+ * @returns {string} The pairs, joined by `&`.
+ */
+const encodeState = (state) => Object.entries(state)
+  .filter(([, val]) => val !== undefined)
+  .map(([key, val]) => `${encodeURL(key)}=${encodeURL(val)}`)
+  .join('&');
+
+/**
+ * Parse the `key=value` pairs of a hash _or_ a query.
+ * @param {string} str The hash _or_ the query, w/ _or_ w/o its `#` _or_ `?`.
+ * @returns {Object.<string, string>} Values by their keys.
+ */
+const decodeState = (str = '') => str
+  .replace(/^[#?]/, '')
+  .split('&')
+  .filter(Boolean)
+  .reduce((state, pair) => {
+    const [key, val = ''] = pair.split('=');
+    try {
+      state[decodeURL(key)] = decodeURL(val.replace(/\+/g, ' '));
+    } catch (e) {
+      // Malformed escapes, e.g. from a link cut short
+    }
+    return state;
+  }, {});
+
 /**
  * ### The Dot Character
  *
@@ -329,23 +238,34 @@ const ROOTDIR = SOL;
  * Create URL to load _self-hosted_ media resource from.
  *
  * @param {number} inode File's index node (a unique identification number).
- * @param {Object.<string, (string|number)>} struct URL's structure
+ * @param {Object.<string, (string|number)>} struct URL's structure.
+ * The optional `width` picks a resolution variant.
  * @returns {string} URL
  *
  * @example
  * // returns 'tex/img0-q80.jpg'
  * assetURL(0, {
- *   path: 'tex',
+ *   base: 'tex',
  *   name: 'img',
  *   suffix: '-q80',
  *   format: 'jpg',
  * });
+ * @example
+ * // returns 'tex/img0-750w-q80.avif'
+ * assetURL(0, {
+ *   base: 'tex',
+ *   name: 'img',
+ *   suffix: '-q80',
+ *   format: 'avif',
+ *   width: 750,
+ * });
  */
 const assetURL = (inode = 0, struct = {}) => {
   let assetPrefix = struct.prefix || '',
       basePath = `${struct.base || 'images'}/`,
       fileName = `${struct.name || 'img'}`,
       fileDesc = `${struct.desc || inode}`, // File descriptor / identifier
+      widthDesc = (struct.width ? `-${struct.width}w` : ''), // Resolution variant
       fileNameExtensions = {
         jpg: 'jpg',
         jpeg: 'jpeg',
@@ -355,198 +275,82 @@ const assetURL = (inode = 0, struct = {}) => {
       extension = `.${fileNameExtensions[struct.format]}`,
       suffix = (struct.suffix ? struct.suffix + extension : extension);
 
-  return `${assetPrefix}${basePath}${fileName}${fileDesc}${suffix}`;
+  return `${assetPrefix}${basePath}${fileName}${fileDesc}${widthDesc}${suffix}`;
 }
 
-const texturesArray = [
-  {
-    url: 'tex/img0-q80.jpg',
-    ar: [3000, 4000],
-  }, {
-    url: 'tex/img1-q80.jpg',
-    ar: [3000, 4000],
-  }, {
-    url: 'tex/img2-q80.jpg',
-    ar: [3000, 4000],
-  }, {
-    url: 'tex/img3-q80.jpg',
-    ar: [3000, 4000],
-  }
-],
-  { length: amount, [amount - 1]: lastEl } = texturesArray;
-
-let clicks = 0;
 
 /**
- * Check if the current value is the `end-of-queue`.
+ * Check if the keyboard event targets an element that takes text input.
  *
- * @param {number} currVal Current value
- * @param {number} maxVal Maximum value
- * @returns {Promise.<number>} Promise object represent the current value
+ * @param {KeyboardEvent} ev The keyboard event.
+ * @returns {boolean}
  */
-const isEndOfQueue = (currVal, maxVal) => {
-  return new Promise((resolve, reject) => {
-    if (currVal >= maxVal - 1) {
-      resolve(currVal);
-    } else {
-      reject(currVal);
-    }
-  });
-};
-
-// Initially set the image as a texture
-const onLoadEv = () => switchTextures();
-// Update image on click
-const onClickEv = () => switchTextures();
+export const isTypingTarget = ({ target }) => (
+  target instanceof HTMLElement
+  && (target.isContentEditable
+    || ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName))
+);
 
-// Attach event listeners
-doc.addEventListener('click', onClickEv, false);
-win.addEventListener('load', onLoadEv, false);
-win.addEventListener('resize', resize, false);
-
-// https://jsdoc.app/tags-enum.html
 /**
- * Enum for imagesComparisonData values.
+ * Keys handled by the focused canvas: the {@link SLIDESHOW_KEYS|arrow keys},
+ * handled anywhere on the page as well, and `Enter` _or_ `Space`
+ * to advance as a click does.
  * @readonly
- * @enum {(number|boolean)}
+ * @enum {string}
  */
-let imagesComparisonData = {
-  /** The `true` value */
-  TRUE: 1,
-  /** The `falsy` value */
-  FALSE: -1,
-  /** @type {boolean} */
-  isEqualSizeBySize: true,
-  /** @type {boolean} */
-  hasDifferInRatios: false,
+const CANVAS_KEYS = {
+  ...SLIDESHOW_KEYS,
+  Enter: 'next',
+  ' ': 'next',
 };
 
 /**
- * @readonly
- * @typedef {Object.<string, (number|boolean)>} imagesComparisonArgs
- * Compare of Textures.
- * Compare pair of images and get {@link imagesComparisonData|data} about their similarity and processing time.
- *
- * TODO:
- * Receive and compare the dimensions and aspect ratios of all array elements
- * (with each other). Check the elements by the chain, for example, like this:
- * > `image1 is size-by-size equivalent to image2,`
- * > `image2 to image3, etc.`
- *
- * ___
- * Indicates whether the elements of the {@link texturesArray|array} are:
- * - {@linkcode switchProps.hasEqualDims|hasEqualDims}
- * `true` `If` → they're equal _in_ size
- * - {@linkcode switchProps.hasDiffSizes|hasDiffSizes}
- * `true` `If` → they're differ _in_ size
- * - {@linkcode switchProps.hasDiffRatio|hasDiffRatio}
- * `true` `If` → they're differ _in_ aspect ratios
+ * Inline styles that hide an element visually,
+ * keeping it for assistive technology.
+ * @const @default
  */
+const VISUALLY_HIDDEN = {
+  position: 'absolute',
+  width: '1px',
+  height: '1px',
+  margin: '-1px',
+  padding: '0',
+  overflow: 'hidden',
+  clip: 'rect(0 0 0 0)',
+  whiteSpace: 'nowrap',
+  border: '0',
+};
 
 /**
  * @typedef {Object} switchProps
  * The object includes a set of options for
- * {@link switchTextures|texture switching}.
+ * {@link switchTextures|texture switching}, {@link compareImages|computed}
+ * from the gallery unless they're passed.
  *
  * @prop {boolean} hasEqualDims → True if all elements have the same dimensions.
  * It is initially `true`.
- * @prop {boolean} hasDiffSizes → True if all elements differ in sizes.
+ * @prop {boolean} hasDiffSizes → True if the elements differ in sizes.
  * It is initially `false`.
- * @prop {boolean} hasDiffRatio → True if all elements differ in aspect ratios.
+ * @prop {boolean} hasDiffRatio → True if the elements differ in aspect ratios.
  * It is initially `false`.
- * @prop {boolean} isLooped Indicates whether the switching of elements is continuous.
- * It is initially `true`.
  */
 
-/**
- * Switch between different textures.
- * @class
- * @classdesc Sequentially switch between images using a {@link num|numeric value} as a trigger, which is incremented per-click.
- *
- * @param {number} [num=0] Input value to {@link pickTexture|pick texture} from.
- * @param {switchProps} options A set of texture switching options.
- *
- * @example <caption>The default state</caption>
- * switchTextures({ hasEqualDims: true });
- * @example <caption>The negation of {@linkcode hasEqualDims}</caption>
- * switchTextures({ hasDiffSizes: true });
- *
- * @todo Implement variations w/ autoplay mode _and_ next/previous controls.
- */
-function switchTextures(num = 0, options = {}) {
-  // Properties added by default to a new instance
-  let { hasEqualDims, hasDiffSizes, isLooped = true } = options;
-
-  // If options are not specified
-  if (Object.entries(options).length == 0) {
-    hasEqualDims = true;
-
-    // TODO: This should be the negation of each other and vice versa
-    if (hasEqualDims) hasDiffSizes = false;
-    // if (!hasEqualDims) hasDiffSizes = !hasEqualDims;
-  }
-
-  // Increment a number by triggering
-  if (Number.isInteger(num)) num = clicks++;
-
-  isEndOfQueue(num, amount)
-    .then(() => {
-      // Reset incrementor at the end-of-queue
-      clicks = 0;
-      // Detach the click event listener
-      doc.removeEventListener('click', onClickEv, false);
-    })
-    .finally(() => {
-      // If the queue is looped — attach the click event listener again
-      if (isLooped) doc.addEventListener('click', onClickEv, false);
-    });
-
-  if (!hasEqualDims || hasDiffSizes) {
-    // Texture's dimensions needs update by image's data
-    // (async () => {
-    //   texturesArray.map(async (img, idx, arr) => {
-    //     if (num == idx) {
-    //       imageSize.w = img.ar[0];
-    //       imageSize.h = img.ar[1];
-    //     }
-    //   });
-    // })().then(() => resize());
-    texturesArray.map((img, idx, arr) => {
-      if (num == idx) {
-        imageSize.w = img.ar[0];
-        imageSize.h = img.ar[1];
-      }
-    });
-  }
-
-  // Static props
-  const urlStruct = {
-    base: 'tex',
-    name: 'img',
-    format: 'jpg',
-    suffix: '-q80',
-  };
-
-  try {
-    // Pick an image by identification number in filename
-    pickTexture(assetURL(num, {...urlStruct}));
-  } catch (e) {
-    // Failed to load an image from specified URL
-    // console.error(e);
-    alert(e.name + '\n' + e.message);
-  }
-}
 
 /**
  * Get natural/intrinsic dimensions of the image to calc aspect ratio.
  *
- * @param {HTMLImageElement} el The img element.
+ * @param {(HTMLImageElement|HTMLVideoElement|HTMLCanvasElement)} el The img element _or_ another source.
  * @returns {Object.<string, number>} Aspect ratios.
  */
 const getImgAspectRatio = (el) => {
+  // Sources other than images (canvas, video) have no natural size
   let {
-    naturalWidth: w,
-    naturalHeight: h
+    width,
+    height,
+    videoWidth = width,
+    videoHeight = height,
+    naturalWidth: w = videoWidth,
+    naturalHeight: h = videoHeight
   } = el;
   let ar = {
     portrait: (w / h),
@@ -555,177 +359,1701 @@ const getImgAspectRatio = (el) => {
   return ar;
 }
 
-// Create an image load event handler
-const imgOnLoadEv = (ev) => getImgAspectRatio(ev.currentTarget)
-  && resize();
-
 /**
- * Apply the received image as a WebGL texture.
+ * @typedef {Object} effectOptions
+ * The object includes a set of options for {@link FlowmapEffect#mount|mounting}
+ * the effect.
  *
- * @async
- * @function pickTexture
- * @param {URL} location The URL to load media resource from.
- * @returns Selected texture.
+ * @prop {number} [dpr=2] Device pixel ratio passed to the {@link external:Renderer|renderer},
+ * capped by the one of the screen while the quality is governed.
+ * @prop {boolean} [preserveDrawingBuffer=false] Keep the pixels of the canvas
+ * after each frame, to read them back outside of the render loop
+ * (e.g. `toDataURL()` from a click handler). It costs performance,
+ * and the {@link Recorder|recordings} don't need it.
+ * @prop {Object} [flowmap={}] Options passed to the {@link MultiFlowmap|flowmap}.
+ * @prop {(boolean|Object)} [fluid=false] Swirl the flow w/ the {@link FluidFlowmap|fluid solver}
+ * instead, `true` for its defaults _or_ any of its `iterations`, `curl`, `pressure`
+ * _and_ `advection`. The grid size is the flowmap `size`.
+ * @prop {(boolean|qualityProps)} [quality=true] Adjust the device pixel ratio
+ * _and_ the flowmap size to hold the frame rate, `false` to keep them fixed.
+ * The `dpr` _and_ the flowmap `size` are the highest quality by default.
+ * @prop {number} [maxPointers=5] Maximum number of pointers (fingers) stamped at once.
+ * @prop {(string|physicsProps)} [physics={}] Name of a physics
+ * {@link PHYSICS_PROFILES|profile} (`'viscous'`, `'snappy'`) _or_ a set of
+ * physics options. The `dissipation` of the flowmap options, if any, wins.
+ * @prop {(string|Object)} [manifest='tex/manifest.json'] URL of the gallery
+ * {@link loadManifest|manifest} _or_ the manifest object itself.
+ * @prop {string} [fit='cover'] How images fit the canvas: `'cover'`, `'contain'` _or_ `'fill'`.
+ * @prop {string} [background='#000'] Colour around the contained images.
+ * @prop {(string|distortionProps)} [distortion={}] Name of a distortion
+ * {@link DISTORTION_PRESETS|preset} (`'subtle'`, `'liquid'`, `'glitch'`)
+ * _or_ a set of distortion options.
+ * @prop {(boolean|attractProps)} [attract=false] Drive the distortion
+ * along a procedural path while nobody interacts, `true` for the defaults.
+ * @prop {(string|boolean)} [reducedMotion='auto'] `'auto'` follows the user's
+ * `prefers-reduced-motion`, `true` _or_ `false` force the preference.
+ * Reduced motion scales the distortion down, and turns the autoplay _and_
+ * the attract mode off.
+ * @prop {number} [reducedMotionScale=0] Intensity of the distortion
+ * w/ reduced motion, `0` turning it off.
+ * @prop {boolean} [controls=true] Add a pause/play button to the container.
+ * @prop {boolean} [isLooped=true] Indicates whether the switching of textures is continuous.
+ * @prop {slideshowProps} [slideshow={}] Autoplay _and_ keyboard options of the slideshow.
+ * @prop {transitionProps} [transition={}] Default options of the transitions between textures.
+ * @prop {textureManagerProps} [textures={}] Preloading _and_ caching options.
+ * @prop {loadingProps} [loading={}] Timeouts, retries _and_ placeholders of the images.
+ * @prop {(boolean|deepLinkProps)} [deepLink=false] Keep the image _and_ the look
+ * in the URL, so the link restores them, `true` for the defaults.
  */
-async function pickTexture(location) {
-  const setImage = await createImage()
-    .then((img) => {
-      // Applying the received image as a texture
-      img
-        .onload = () => (texture.image = img)
-        .onerror = (e) => (console.error(e));
-      // Detach the load event listener if the image has been completely downloaded
-      if (img.complete) img.removeEventListener('load', imgOnLoadEv, false);
-      // Specify URI to fetch the resource by
-      img.src = location;
-    })
-    .catch(err => err?.message);
-
-  return texture.image;
-}
 
 /**
- * @typedef {Object} imageProps
- * __The object includes a set of essential image's attributes:__
- * 1. CORS settings — no credentials flag `''` is the same as `'anonmyous'`
- * 2. Referrer policy
- * 2. Decoding hint
- * 3. Loading deferral
+ * @typedef {Object} deepLinkProps
+ * The object includes a set of options for the deep links.
  *
- * @prop {string} [cors=''] Its purpose is to allow images loaded remotely
- * from 3rd-party sites that allow _cross-origin_ access
- * (such as external media hosting service) to be used w/ canvas.
- * @prop {string=} policy Explicitly set a privacy-enhancing policy, such as `'strict-origin-when-cross-origin'` (or stricter)
- * @prop {string=} decode Decoding hint for processing this image
- * @prop {string=} load Used when determining loading deferral
+ * @prop {string} [mode='hash'] Part of the URL the state is kept in:
+ * `'hash'` _or_ `'query'`. Other pairs of it are kept as they are.
+ * @prop {boolean} [push=true] Add a history entry for each image the user
+ * navigates to, so back _and_ forward step through them. The autoplay
+ * _and_ the parameters always replace the current entry.
+ * @prop {number} [delay=300] Time the parameters have to settle for, in ms,
+ * before they replace the entry. Browsers throttle frequent history updates,
+ * e.g. while a slider is dragged.
  */
 
 /**
- * Creates a node to load the image resource w/ CORS mode.
+ * Default {@link deepLinkProps|deep link options}.
+ * @const @default
+ */
+const DEEP_LINK_DEFAULTS = {
+  mode: 'hash',
+  push: true,
+  delay: 300,
+};
+
+/**
+ * Default {@link effectOptions|effect options}.
+ * @const @default
+ */
+const EFFECT_DEFAULTS = {
+  dpr: 2,
+  preserveDrawingBuffer: false,
+  flowmap: {},
+  fluid: false,
+  quality: true,
+  maxPointers: 5,
+  physics: {},
+  manifest: 'tex/manifest.json',
+  fit: 'cover',
+  background: '#000',
+  distortion: {},
+  attract: false,
+  reducedMotion: 'auto',
+  reducedMotionScale: 0,
+  controls: true,
+  isLooped: true,
+  slideshow: {},
+  transition: {},
+  textures: {},
+  loading: {},
+  deepLink: false,
+};
+
+/**
+ * Mouse flowmap deformation effect.
+ * @class
+ * @classdesc Owns the WebGL context, the scene and the render loop,
+ * so the effect can be mounted into _and_ removed from a page at any time
+ * w/o leaking contexts or listeners.
+ *
+ * Fires the events, w/ their `detail`:
+ * - `ready` once the gallery is loaded: `images`;
+ * - `texturechange` as the transition to an image _or_ a source starts:
+ * `index` (`-1` for a source), `url` _or_ `source`;
+ * - `textureerror` if an image fails to load: `url`, `index`, `cause`
+ * _and_ the {@link TextureError|error}. Logged unless the event is cancelled;
+ * - `loadprogress` as the preloaded images settle: `loaded`, `total` _and_ `url`;
+ * - `pointerstart` _and_ `pointerend` as a pointer is first tracked _and_ lifted:
+ * `id`, _and_ the `x` _and_ `y` on the canvas for the start;
+ * - `frame` after each frame is rendered: `time`.
+ *
+ * @param {effectOptions} [options={}] A set of effect options.
  *
- * @async
- * @function createImage
- * @param {...imageProps} attrs A set of essential attributes.
- * @returns The img element.
+ * @example
+ * const effect = new FlowmapEffect({ dpr: 1 });
+ * effect.mount(document.querySelector('main'));
+ * // …later, e.g. on route change
+ * effect.destroy();
  */
-async function createImage(...attrs) {
-  // Create the image node
-  let img = new Image();
-
-  // Attach the load event listener
-  img.addEventListener('load', imgOnLoadEv, false);
-  // img.onload = (ev) => ();
-  // img.error = (err) => {
-  //   throw new Error(`${err.name}\n${err.message}`)
-  // };
-
-  return {
-    crossOrigin: attrs.cors = 'anonmyous',
-    referrerPolicy: attrs.policy = 'no-referrer',
-    decoding: attrs.decode = 'async',
-    loading: attrs.load = 'eager',
-  } = img;
-}
+export class FlowmapEffect extends EventTarget {
+  constructor(options = {}) {
+    super();
+
+    this.options = { ...EFFECT_DEFAULTS, ...options };
+
+    this.isMounted = false;
+    this.isPaused = false;
+    // Set while a frame-exact recording drives the updates, w/o touching the pause state
+    this.isDriven = false;
+    this.container = null;
+    this.rafId = null;
+    // The render loop also stops while the canvas can't be seen
+    this.isHidden = false;
+    this.isIntersecting = true;
+    this.isContextLost = false;
+    // Resolved deep link options, while mounted w/ them
+    this.deepLink = null;
+    // Set while the state is read from the URL, so it isn't written back
+    this.followingLink = false;
+    // Pending replacement of the history entry, coalesced by `writeLink()`
+    this.linkTimer = null;
+    // The latest image picked, w/ the `location` it's loaded from
+    this.pending = null;
+
+    // Default rendered dimensions of the image
+    // w/ 3:4 (SD) aspect ratio
+    this.imageSize = { w: 3000, h: 4000, ar: [(3/4), (4/3)] };
+
+    // Variable inputs to control flowmap
+    this.aspect = 1;
+    // Active pointers by their id: `'mouse'` or the `pointerId` of a touch _or_ pen
+    this.pointers = new Map();
+    this.gallery = [];
+    // Natural sizes of the images shown so far, by the index of their entry
+    this.naturalSizes = [];
+    this.switchProps = { hasEqualDims: true, hasDiffSizes: false, hasDiffRatio: false };
+
+    // Keep the listeners bound to the instance,
+    // so the same references can be detached on destroy
+    // Initially set the image as a texture
+    this.onLoadEv = () => this.ready.then(() => {
+      // Open on the image of the link, if any
+      const { image = 0 } = this.deepLink ? this.readLink() : {};
+      this.followingLink = !!this.deepLink;
+      this.slideshow.goTo(image);
+      this.followingLink = false;
+    }, () => {});
+    this.onIndexEv = ({ detail }) => {
+      const { push } = this.deepLink;
+      this.writeLink(push && !detail.isAutoplay);
+    };
+    this.onPopStateEv = () => {
+      // The pending replacement was meant for the entry navigated away from
+      clearTimeout(this.linkTimer);
+      this.linkTimer = null;
+      this.followLink(this.readLink());
+    };
+    // Update image on click
+    this.onClickEv = () => {
+      this.slideshow.interact();
+      this.next();
+    };
+    this.onKeyEv = (e) => {
+      const keys = e.target === this.gl.canvas ? CANVAS_KEYS : SLIDESHOW_KEYS;
+      const action = keys[e.key];
+      if (!action || e.defaultPrevented || isTypingTarget(e)) return;
+      // Left to the browser, e.g. `Alt` + arrows navigate the history
+      if (e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) return;
+
+      e.preventDefault();
+      this.slideshow.interact();
+      this[action]();
+    };
+    this.onResizeEv = () => this.resize();
+    this.onVisibilityEv = () => {
+      this.isHidden = doc.hidden;
+      this.updateLoop();
+    };
+    this.onIntersectEv = ([entry]) => {
+      this.isIntersecting = entry.isIntersecting;
+      this.updateLoop();
+    };
+    this.onContextLostEv = (e) => {
+      // Ask for the context to be restored
+      e.preventDefault();
+      this.loseScene();
+    };
+    this.onContextRestoredEv = () => this.restoreScene();
+    this.onPauseEv = () => (this.isPaused ? this.resume() : this.pause());
+    this.onPointerEv = (e) => this.updatePointer(e);
+    // The mouse is released once it leaves the window
+    this.onPointerOutEv = (e) => {
+      if (e.pointerType === 'mouse' && !e.relatedTarget) this.endPointer('mouse');
+    };
+    // Render loop, paused while a frame-exact recording drives the updates
+    this.onFrameEv = (t) => {
+      this.rafId = requestAnimationFrame(this.onFrameEv);
+      // A live recording keeps the size it started at
+      if (this.governor?.sample(t) && !this.recorder?.isRecording) this.applyQuality();
+      this.update(t);
+    };
+  }
+
+  /**
+   * Create the WebGL context and the scene, attach the canvas
+   * to the container and start rendering.
+   *
+   * @param {HTMLElement} [container=document.body] The element to append the canvas to.
+   * @param {effectOptions} [options={}] A set of effect options,
+   * merged over the ones passed to the constructor.
+   * @returns {FlowmapEffect} The instance.
+   */
+  mount(container = body, options = {}) {
+    if (this.isMounted || this.fallback) this.destroy();
+
+    this.options = { ...this.options, ...options };
+    this.container = container;
+
+    this.physics = resolvePhysics(this.options.physics);
+
+    const { quality, dpr, flowmap } = this.options;
+    this.governor = quality ? new QualityGovernor({
+      maxDpr: Math.min(dpr, win.devicePixelRatio || 1),
+      maxFlowmapSize: flowmap.size ?? QUALITY_DEFAULTS.maxFlowmapSize,
+      ...(quality === true ? {} : quality),
+    }) : null;
+
+    /**
+     * Represents the class from OGL's [Core Component]{@link [core]}
+     * that is used for rendering the scene.
+     * Its purpose is to prepare/set up the WebGL context
+     * by passing the necessary set of {@link ctxAttrs|context attributes},
+     * and start rendering the content.
+     *
+     * @external @class Renderer
+     * @param {...ctxAttrs} attributes A set of context attributes.
+     * ___
+     * [repo]: https://github.com/oframe/ogl/
+     * [core]: https://github.com/oframe/ogl/tree/master/src/core
+     * [file]: https://github.com/oframe/ogl/blob/master/src/core/Renderer.js
+     * [line]: https://github.com/oframe/ogl/blob/master/src/core/Renderer.js#L16
+     * @see
+     * [Definition]{@link [line]} _in_ [OGL Source Code]{@link [repo]}
+     */
+    try {
+      this.renderer = this.createRenderer();
+    } catch (e) {
+      // OGL throws right after failing to get a context
+      return this.mountFallback();
+    }
+
+    /**
+     * The variable `gl` is reference to a successfully initialized context.
+     * @summary Initialize the GL context.
+     *
+     * @memberof external:Renderer#
+     * @instance
+     * ___
+     * [file]: https://github.com/oframe/ogl/blob/master/src/core/Renderer.js
+     * [line]: https://github.com/oframe/ogl/blob/master/src/core/Renderer.js#L43
+     * @see
+     * [Definition]{@link [line]} _in_ [OGL's Renderer Source Code]{@link [file]}
+     */
+    const gl = this.gl = this.renderer.gl;
+    // Expose the canvas as the image on screen, reachable by the keyboard
+    gl.canvas.tabIndex = 0;
+    gl.canvas.setAttribute('role', 'img');
+    gl.canvas.setAttribute('aria-label', '');
+    container.appendChild(gl.canvas);
+
+    // Announces the image changes to assistive technology
+    this.liveRegion = doc.createElement('p');
+    Object.assign(this.liveRegion.style, VISUALLY_HIDDEN);
+    this.liveRegion.setAttribute('aria-live', 'polite');
+    container.appendChild(this.liveRegion);
+
+    if (this.options.controls) {
+      this.pauseButton = doc.createElement('button');
+      this.pauseButton.type = 'button';
+      this.pauseButton.className = 'flowmap-pause';
+      this.pauseButton.addEventListener('click', this.onPauseEv, false);
+      container.appendChild(this.pauseButton);
+    }
+
+    this.transition = new TextureTransition(this.options.transition);
+    this.distortion = new Distortion(this.options.distortion);
+    const { attract } = this.options;
+    this.attract = attract ? new AttractMode(attract === true ? {} : attract) : null;
+    this.createScene();
+
+    this.slideshow = new Slideshow(
+      (idx, transition) => this.switchTextures(idx, {}, transition),
+      {
+        length: 0,
+        isLooped: this.options.isLooped,
+        ...this.options.slideshow,
+      },
+    );
 
-function resize() {
-  let a1, a2;
-  let imgAspectRatio = imageSize.h / imageSize.w;
-  if (winAspectRatio < imgAspectRatio) {
-    a1 = 1;
-    a2 = winAspectRatio / imgAspectRatio;
-  } else {
-    a1 = (vw / vh) * imgAspectRatio;
-    a2 = 1;
+    this.resize();
+
+    const { deepLink } = this.options;
+    this.deepLink = deepLink ? { ...DEEP_LINK_DEFAULTS, ...(deepLink === true ? {} : deepLink) } : null;
+    if (this.deepLink) {
+      // The look of the link applies at once, its image once the gallery is in
+      this.followLink({ ...this.readLink(), image: undefined });
+      this.slideshow.addEventListener('indexchange', this.onIndexEv);
+      win.addEventListener('popstate', this.onPopStateEv, false);
+    }
+
+    // Attach event listeners
+    gl.canvas.addEventListener('click', this.onClickEv, false);
+    gl.canvas.addEventListener('webglcontextlost', this.onContextLostEv, false);
+    gl.canvas.addEventListener('webglcontextrestored', this.onContextRestoredEv, false);
+    win.addEventListener('resize', this.onResizeEv, false);
+    doc.addEventListener('visibilitychange', this.onVisibilityEv, false);
+    if ('IntersectionObserver' in win) {
+      this.observer = new IntersectionObserver(this.onIntersectEv);
+      this.observer.observe(gl.canvas);
+    }
+    if (this.slideshow.options.keyboard) {
+      doc.addEventListener('keydown', this.onKeyEv, false);
+      gl.canvas.setAttribute('aria-keyshortcuts', 'ArrowLeft ArrowRight Enter Space');
+    }
+    /**
+     * Resolves once the gallery manifest is loaded and validated.
+     * @type {Promise.<galleryEntry[]>}
+     */
+    this.ready = Promise.all([
+      this.loadGallery(this.options.manifest),
+      detectFormats().then((formats) => (this.formats = formats)),
+    ]).then(([images]) => images);
+    this.ready.then((images) => {
+      if (this.isMounted) this.dispatchEvent(new CustomEvent('ready', { detail: { images } }));
+    }, (e) => console.error(e));
+
+    // The page may have been loaded long before the effect is mounted
+    if (doc.readyState === 'complete') this.onLoadEv();
+    else win.addEventListener('load', this.onLoadEv, false);
+
+    // Create handlers to get pointers position and velocity,
+    // the mouse, touches _and_ pens alike
+    gl.canvas.style.touchAction = 'none';
+    win.addEventListener('pointerdown', this.onPointerEv, false);
+    win.addEventListener('pointermove', this.onPointerEv, false);
+    win.addEventListener('pointerup', this.onPointerEv, false);
+    win.addEventListener('pointercancel', this.onPointerEv, false);
+    win.addEventListener('pointerout', this.onPointerOutEv, false);
+
+    this.isMounted = true;
+    this.isPaused = false;
+    this.isHidden = doc.hidden;
+    this.updateLoop();
+    this.updateControls();
+
+    // Starts the autoplay, unless the user prefers reduced motion
+    this.unwatchMotion = watchReducedMotion(
+      (isReduced) => this.applyMotionPreference(isReduced),
+      this.options.reducedMotion,
+    );
+
+    return this;
   }
-  mesh.program.uniforms.res.value = new Vec4(vw, vh, a1, a2);
 
-  renderer.setSize(vw, vh);
-  aspect = vw / vh;
-}
+  /**
+   * Create the renderer on the canvas, if any, _or_ on a new one.
+   * @param {HTMLCanvasElement} [canvas] The canvas of the lost context.
+   * @returns {Renderer} The renderer.
+   */
+  createRenderer(canvas) {
+    const { dpr, preserveDrawingBuffer } = this.options;
+
+    return new Renderer({
+      canvas,
+      dpr: this.governor?.current.dpr ?? dpr,
+      preserveDrawingBuffer,
+    });
+  }
 
-const program = new Program(gl, {
-  vertex,
-  fragment,
-  uniforms: {
-    uTime: { value: 0 },
-    tWater: { value: texture },
-    res: { value: new Vec4(vw, vh, a1, a2) },
-    img: { value: new Vec2(imageSize.w, imageSize.h) },
-    // Note that the uniform is applied w/o using an object and value property
-    // This is b/c the class alternates this texture between two render targets
-    // and updates the value property after each render.
-    tFlow: flowmap.uniform,
-  },
-});
-
-const mesh = new Mesh(gl, { geometry, program });
-
-resize();
-
-// Create handlers to get mouse position and velocity
-const isTouchCapable = 'ontouchstart' in window;
-if (isTouchCapable) {
-  win.addEventListener('touchstart', updateMouse, false);
-  win.addEventListener('touchmove', updateMouse, { passive: false });
-} else {
-  win.addEventListener('mousemove', updateMouse, false);
-}
+  /**
+   * Create the GL resources of the scene: the flowmap, the textures,
+   * the program _and_ the mesh.
+   */
+  createScene() {
+    const { gl } = this;
+    const { flowmap, fluid } = this.options;
+    const Flowmap = fluid ? FluidFlowmap : MultiFlowmap;
+
+    // Stamps every active pointer into the flow texture,
+    // _or_ into the velocity of the fluid
+    this.flowmap = new Flowmap(gl, {
+      maxPointers: this.options.maxPointers,
+      dissipation: this.physics.dissipation,
+      ...flowmap,
+      ...(fluid === true ? {} : fluid),
+      size: this.governor?.current.flowmapSize ?? flowmap.size,
+    });
+
+    this.geometry = new Geometry(gl, {
+      position: {
+        size: 2,
+        data: new Float32Array([-1, -1, 3, -1, -1, 3]),
+      },
+      uv: { size: 2, data: new Float32Array([0, 0, 2, 0, 0, 2]) },
+    });
 
-let lastTime;
-const lastMouse = new Vec2();
+    // Shown until the first image loads
+    this.emptyTexture = new Texture(gl);
+    this.texture = this.emptyTexture;
+    // Loaded images stay uploaded, so going back and forth is instant
+    this.textures = new TextureManager(
+      gl,
+      (url, signal) => this.loadImage(url, signal),
+      this.options.textures,
+    );
+    this.textures.addEventListener('progress', ({ detail }) => {
+      this.dispatchEvent(new CustomEvent('loadprogress', { detail }));
+    });
+
+    this.program = new Program(gl, {
+      vertex,
+      fragment,
+      uniforms: {
+        uTime: { value: 0 },
+        tWater: { value: this.texture },
+        ...this.distortion.uniforms,
+        ...this.transition.uniforms,
+        tWaterFrom: { value: this.emptyTexture },
+        uFitTo: { value: new Vec4(1, 1, 0, 0) },
+        uFitFrom: { value: new Vec4(1, 1, 0, 0) },
+        uMasked: { value: new Vec2() },
+        uBackground: { value: new Color(this.options.background) },
+        // Note that the uniform is applied w/o using an object and value property
+        // This is b/c the class alternates this texture between two render targets
+        // and updates the value property after each render.
+        tFlow: this.flowmap.uniform,
+      },
+    });
 
-function updateMouse(e) {
-  e.preventDefault();
-  if (e.changedTouches && e.changedTouches.length) {
-    e.x = e.changedTouches[0].pageX;
-    e.y = e.changedTouches[0].pageY;
+    this.mesh = new Mesh(gl, { geometry: this.geometry, program: this.program });
   }
-  if (e.x === undefined) {
-    e.x = e.pageX;
-    e.y = e.pageY;
+
+  /**
+   * Release the GL resources of the scene.
+   */
+  releaseScene() {
+    this.program.remove();
+    this.geometry.remove();
+    this.flowmap.remove();
+    this.textures.clear();
+    this.gl.deleteTexture(this.emptyTexture.texture);
+    this.pending = null;
   }
-  // Get mouse value in 0–1 range, w/ y flipped
-  mouse.set(e.x / gl.renderer.width, 1.0 - e.y / gl.renderer.height);
-  // Calculate velocity
-  if (!lastTime) {
-    // First frame
-    lastTime = performance.now();
-    lastMouse.set(e.x, e.y);
+
+  /**
+   * Stop rendering once the context is lost, until it's restored.
+   */
+  loseScene() {
+    const { uniforms } = this.program;
+
+    this.isContextLost = true;
+    this.updateLoop();
+    // Nothing is drawn until the context is restored
+    if (this.recorder?.isRecording) this.recorder.stop().catch(() => {});
+    this.transition.settle(false);
+    if (uniforms.tWaterFrom.value !== this.texture) uniforms.tWaterFrom.value.media?.destroy();
+    // The calls are no-ops on the lost context, but the caches are dropped
+    this.releaseScene();
   }
 
-  const deltaX = e.x - lastMouse.x;
-  const deltaY = e.y - lastMouse.y;
+  /**
+   * Rebuild the scene once the context is restored, w/ the image _or_
+   * the media on screen and the parameters it had when the context was lost.
+   */
+  restoreScene() {
+    const { media } = this;
+    const { overrides } = this.flowmap;
+    const { index } = this.slideshow;
+
+    this.renderer = this.createRenderer(this.gl.canvas);
+    this.gl = this.renderer.gl;
+    this.createScene();
+    this.flowmap.setParams(overrides);
+    this.isContextLost = false;
+    this.resize();
+
+    if (media) {
+      this.transitionTo(media.restore(), { duration: 0 });
+    } else if (this.gallery[index]) {
+      this.switchTextures(index, {}, { duration: 0 });
+    }
 
-  lastMouse.set(e.x, e.y);
+    this.updateLoop();
+  }
 
-  let time = performance.now();
+  /**
+   * Show the first image of the gallery as a plain `img` instead,
+   * where WebGL isn't available.
+   * @returns {FlowmapEffect} The instance.
+   */
+  mountFallback() {
+    const { fit } = this.options;
+    const img = this.fallback = doc.createElement('img');
+
+    img.className = 'flowmap-fallback';
+    img.alt = '';
+    Object.assign(img.style, {
+      display: 'block',
+      width: '100%',
+      height: '100%',
+      objectFit: fit,
+    });
+    this.container.appendChild(img);
+    this.vw = this.container.clientWidth || win.innerWidth;
+    this.vh = this.container.clientHeight || win.innerHeight;
+
+    this.ready = Promise.all([
+      loadManifest(this.options.manifest),
+      detectFormats().then((formats) => (this.formats = formats)),
+    ]).then(([{ images }]) => {
+      const [entry] = images;
+      // The effect may have been destroyed while the manifest was loading
+      if (img !== this.fallback || !entry) return images;
+
+      this.gallery = images;
+      img.src = this.resolveURL(entry);
+      img.alt = entry.alt;
+      img.style.objectFit = entry.effect.fit || fit;
+      img.style.objectPosition = entry.focus.map((v) => `${v * 100}%`).join(' ');
+      return images;
+    });
+    this.ready.catch((e) => console.error(e));
 
-  // Avoid dividing by 0
-  let delta = Math.max(10.4, time - lastTime);
-  lastTime = time;
-  velocity.x = deltaX / delta;
-  velocity.y = deltaY / delta;
-  // Flag update to prevent hanging velocity values when not moving
-  velocity.needsUpdate = true;
-}
-requestAnimationFrame(update);
-
-function update(t) {
-  requestAnimationFrame(update);
-
-  // Reset velocity when mouse not moving
-  if (!velocity.needsUpdate) {
-    mouse.set(-1);
-    velocity.set(0);
-  }
-
-  velocity.needsUpdate = false;
-  // Update flowmap inputs
-  flowmap.aspect = aspect;
-  flowmap.mouse.copy(mouse);
-  // Ease velocity input, slower when fading out
-  flowmap.velocity.lerp(velocity, velocity.len ? 0.15 : 0.1);
-  flowmap.update();
-  program.uniforms.uTime.value = t * 0.01;
-  renderer.render({ scene: mesh });
+    return this;
+  }
+
+  /**
+   * Stop the render loop, keeping the context _and_ the scene alive.
+   * @returns {FlowmapEffect} The instance.
+   */
+  pause() {
+    if (!this.isMounted || this.isPaused) return this;
+
+    this.isPaused = true;
+    this.updateLoop();
+    this.updateControls();
+
+    return this;
+  }
+
+  /**
+   * Restart the render loop stopped by {@link FlowmapEffect#pause|pause}.
+   * @returns {FlowmapEffect} The instance.
+   */
+  resume() {
+    if (!this.isMounted || !this.isPaused) return this;
+
+    this.isPaused = false;
+    this.updateLoop();
+    this.updateControls();
+
+    return this;
+  }
+
+  /**
+   * Run the render loop while the effect isn't paused _or_ driven by a recording,
+   * the page is visible, the canvas is in view and its context is alive,
+   * stop it otherwise.
+   */
+  updateLoop() {
+    const isRunning = !this.isPaused && !this.isDriven && !this.isHidden
+      && this.isIntersecting && !this.isContextLost;
+    if (isRunning === (this.rafId !== null)) return;
+
+    if (isRunning) {
+      // Don't let the time spent stopped turn into velocity,
+      // the replay creates its pointers anew
+      this.replay?.clear(this.pointers);
+      this.pointers.clear();
+      this.governor?.reset();
+      this.rafId = requestAnimationFrame(this.onFrameEv);
+      this.slideshow.schedule();
+    } else {
+      cancelAnimationFrame(this.rafId);
+      this.rafId = null;
+      // Don't queue up slides that can't be transitioned to
+      this.slideshow.clearTimers();
+    }
+  }
+
+  /**
+   * Frame rate of the render loop, as last measured by the quality governor,
+   * `0` until measured _or_ if the quality isn't governed.
+   * @type {number}
+   */
+  get fps() {
+    return this.governor?.fps ?? 0;
+  }
+
+  /**
+   * Current quality level, `0` being the lowest,
+   * _or_ `-1` if the quality isn't governed.
+   * @type {number}
+   */
+  get qualityLevel() {
+    return this.governor?.level ?? -1;
+  }
+
+  /**
+   * Apply the device pixel ratio _and_ the flowmap size
+   * of the current quality level.
+   */
+  applyQuality() {
+    const { dpr, flowmapSize } = this.governor.current;
+
+    this.renderer.dpr = dpr;
+    this.flowmap.setSize(flowmapSize);
+    this.resize();
+  }
+
+  /**
+   * Detach every listener, cancel the render loop, release GL resources
+   * and remove the canvas from the container.
+   * The instance can be {@link FlowmapEffect#mount|mounted} again afterwards.
+   */
+  destroy() {
+    this.fallback?.remove();
+    this.fallback = null;
+    if (!this.isMounted) return;
+
+    // Detach event listeners
+    this.gl.canvas.removeEventListener('click', this.onClickEv, false);
+    doc.removeEventListener('keydown', this.onKeyEv, false);
+    this.gl.canvas.removeEventListener('webglcontextlost', this.onContextLostEv, false);
+    this.gl.canvas.removeEventListener('webglcontextrestored', this.onContextRestoredEv, false);
+    win.removeEventListener('load', this.onLoadEv, false);
+    win.removeEventListener('resize', this.onResizeEv, false);
+    doc.removeEventListener('visibilitychange', this.onVisibilityEv, false);
+    this.observer?.disconnect();
+    win.removeEventListener('pointerdown', this.onPointerEv, false);
+    win.removeEventListener('pointermove', this.onPointerEv, false);
+    win.removeEventListener('pointerup', this.onPointerEv, false);
+    win.removeEventListener('pointercancel', this.onPointerEv, false);
+    win.removeEventListener('pointerout', this.onPointerOutEv, false);
+    win.removeEventListener('popstate', this.onPopStateEv, false);
+    clearTimeout(this.linkTimer);
+    this.linkTimer = null;
+
+    cancelAnimationFrame(this.rafId);
+    this.rafId = null;
+    this.slideshow.stop();
+    // The recording in progress is cut short, its result still resolves
+    if (this.recorder?.isRecording) this.recorder.stop().catch(() => {});
+    this.replay?.stop(this.pointers);
+    this.inputRecorder = this.replay = this.attract = null;
+    this.unwatchMotion();
+    this.liveRegion.remove();
+    this.pauseButton?.remove();
+    this.liveRegion = this.pauseButton = null;
+
+    const { gl } = this;
+
+    // Release GL resources
+    this.releaseScene();
+    // Resolve the pending transition, if any
+    this.transition.settle(false);
+    new Set([
+      this.program.uniforms.tWaterFrom.value,
+      this.program.uniforms.tWater.value,
+    ]).forEach((texture) => texture.media?.destroy());
+
+    // Free the context itself rather than wait for garbage collection,
+    // as browsers cap the number of live contexts per page
+    gl.getExtension('WEBGL_lose_context')?.loseContext();
+    gl.canvas.remove();
+
+    this.renderer = this.gl = this.flowmap = null;
+    this.geometry = this.texture = this.program = this.mesh = null;
+    this.textures = this.emptyTexture = this.media = this.pending = null;
+    this.transition = this.slideshow = this.distortion = null;
+    this.governor = this.observer = this.deepLink = null;
+    this.gallery = [];
+    this.naturalSizes = [];
+    this.galleryReport = null;
+    this.container = null;
+    this.pointers.clear();
+    this.isMounted = false;
+    this.isPaused = false;
+    this.isIntersecting = true;
+    this.isContextLost = false;
+  }
+
+  /**
+   * Load the gallery from the manifest, replacing the current one.
+   *
+   * @async
+   * @param {(string|Object)} source URL of the manifest _or_ the manifest itself.
+   * @returns {Promise.<galleryEntry[]>} The gallery entries.
+   * @throws {ManifestError} If the manifest can't be loaded _or_ is invalid.
+   */
+  async loadGallery(source) {
+    const { images } = await loadManifest(source);
+
+    if (!this.isMounted) return images;
+
+    /**
+     * Entries of the loaded gallery.
+     * @type {galleryEntry[]}
+     */
+    this.gallery = images;
+    this.slideshow.options.length = images.length;
+    this.naturalSizes = [];
+    this.updateGalleryReport();
+    // The declared size, until the images say otherwise
+    if (images[0]) [this.imageSize.w, this.imageSize.h] = images[0].ar;
+
+    return images;
+  }
+
+  /**
+   * Compare the images of the gallery, by their natural size where it's known,
+   * and derive the {@link switchProps|texture switching options} from it.
+   */
+  updateGalleryReport() {
+    /**
+     * Consistency of the gallery: the groups of sizes _and_ aspect ratios,
+     * and the entries whose declared size disagrees w/ their image.
+     * @type {galleryReport}
+     */
+    this.galleryReport = checkGallery(this.gallery, this.naturalSizes);
+    this.switchProps = this.galleryReport.switchProps;
+  }
+
+  /**
+   * Note the natural size of the image of a gallery entry, once it's in,
+   * and warn if the declared one disagrees.
+   *
+   * @param {number} index Index of the gallery entry.
+   * @param {HTMLImageElement} image The image.
+   */
+  checkImage(index, { naturalWidth, naturalHeight }) {
+    if (!this.gallery[index] || this.naturalSizes[index] || !naturalWidth) return;
+
+    this.naturalSizes[index] = [naturalWidth, naturalHeight];
+    this.updateGalleryReport();
+
+    const mismatch = this.galleryReport.mismatches.find((m) => m.index === index);
+    if (mismatch) {
+      console.warn(`Declared size ${mismatch.declared.join('×')} of ${mismatch.url || `image ${index + 1}`}`
+        + ` disagrees w/ its ${mismatch.kind === 'ratio' ? 'aspect ratio' : 'size'}, ${mismatch.natural.join('×')}`);
+    }
+  }
+
+  /**
+   * Build the URL of the gallery entry, picking its best format
+   * and resolution variant for the browser, the canvas _and_ the GPU.
+   *
+   * @param {galleryEntry} entry The gallery entry.
+   * @returns {string} URL
+   */
+  resolveURL(entry) {
+    if (!entry.src) return entry.url;
+
+    const { formats, widths, ...struct } = entry.src;
+    const format = pickFormat(this.formats || new Set(['jpg']), formats);
+    // The fallback `img` has no context to cap the size, _or_ its pixel ratio
+    const { gl, renderer } = this;
+    const width = pickWidth(widths, {
+      imageWidth: entry.width,
+      imageHeight: entry.height,
+      width: this.vw,
+      height: this.vh,
+      dpr: renderer ? renderer.dpr : win.devicePixelRatio || 1,
+      maxTextureSize: gl ? gl.getParameter(gl.MAX_TEXTURE_SIZE) : Infinity,
+    });
+
+    return assetURL(0, { ...struct, format, width });
+  }
+
+  /**
+   * Show the next texture.
+   * @param {transitionProps} [transition] Options of the transition.
+   * @returns {Promise} Resolves when the transition ends.
+   */
+  next(transition) {
+    return this.slideshow.next(transition);
+  }
+
+  /**
+   * Show the previous texture.
+   * @param {transitionProps} [transition] Options of the transition.
+   * @returns {Promise} Resolves when the transition ends.
+   */
+  prev(transition) {
+    return this.slideshow.prev(transition);
+  }
+
+  /**
+   * Show the texture by its index in the {@link FlowmapEffect#gallery|gallery}.
+   * @param {number} index Index of the texture.
+   * @param {transitionProps} [transition] Options of the transition.
+   * @returns {Promise} Resolves when the transition ends.
+   */
+  goTo(index, transition) {
+    return this.slideshow.goTo(index, transition);
+  }
+
+  /**
+   * Reflect the state of the render loop in the pause/play button.
+   */
+  updateControls() {
+    if (!this.pauseButton) return;
+
+    this.pauseButton.textContent = this.isPaused ? 'Play' : 'Pause';
+    this.pauseButton.setAttribute(
+      'aria-label',
+      this.isPaused ? 'Play the animation' : 'Pause the animation',
+    );
+  }
+
+  /**
+   * Scale the distortion down _and_ stop the autoplay for reduced motion,
+   * or restore them.
+   * @param {boolean} isReduced Whether the user prefers reduced motion.
+   */
+  applyMotionPreference(isReduced) {
+    this.isMotionReduced = isReduced;
+    this.distortion.setScale(isReduced ? this.options.reducedMotionScale : 1);
+
+    if (isReduced) {
+      this.slideshow.stop();
+    } else if (this.slideshow.options.autoplay && !this.slideshow.isPlaying) {
+      this.slideshow.play();
+    }
+  }
+
+  /**
+   * Label the canvas w/ the text alternative of the image on screen,
+   * and announce the change.
+   *
+   * @param {string} alt Text alternative of the image.
+   * @param {string} [message=alt] Text to announce.
+   */
+  announce(alt, message = alt) {
+    this.gl.canvas.setAttribute('aria-label', alt);
+    // Announcing every slide of the autoplay would be too chatty
+    this.liveRegion.setAttribute('aria-live', this.slideshow.isPlaying ? 'off' : 'polite');
+    this.liveRegion.textContent = message;
+  }
+
+  /**
+   * Switch the distortion to a preset _or_ a set of options, while running.
+   *
+   * @param {(string|distortionProps)} options Name of a distortion
+   * {@link DISTORTION_PRESETS|preset} _or_ a set of distortion options.
+   * @returns {FlowmapEffect} The instance.
+   * @throws {TypeError} If the preset is unknown.
+   *
+   * @example
+   * effect.setDistortion('glitch');
+   * effect.setDistortion({ preset: 'liquid', rgbSplit: 0 });
+   */
+  setDistortion(options) {
+    this.distortion?.set(options);
+    // Kept for the next mount
+    this.options.distortion = options;
+    this.writeLink();
+
+    return this;
+  }
+
+  /**
+   * Change the stamp parameters _or_ the size of the flowmap while running.
+   * The stamp parameters of the current gallery entry, if any, still win,
+   * and the quality governor steps down from the size to hold the frame rate.
+   *
+   * @param {Object.<string, number>} params Any of `falloff`, `alpha`,
+   * `dissipation` _and_ `size`.
+   * @returns {FlowmapEffect} The instance.
+   *
+   * @example
+   * effect.setFlowmap({ falloff: 0.2, dissipation: 0.95 });
+   */
+  setFlowmap(params) {
+    // Kept for the next mount
+    this.options.flowmap = { ...this.options.flowmap, ...params };
+    const { falloff, alpha, dissipation = this.physics?.dissipation } = this.options.flowmap;
+    this.flowmap?.setDefaults(Object.fromEntries(
+      Object.entries({ falloff, alpha, dissipation }).filter(([, val]) => val !== undefined),
+    ));
+    if (params.size !== undefined && this.flowmap) {
+      if (this.governor) {
+        // The size is the highest quality level from now on
+        this.governor = new QualityGovernor({ ...this.governor.options, maxFlowmapSize: params.size });
+        this.applyQuality();
+      } else {
+        this.flowmap.setSize(params.size);
+      }
+    }
+    this.writeLink();
+
+    return this;
+  }
+
+  /**
+   * Switch the velocity model to a profile _or_ a set of physics options,
+   * while running.
+   *
+   * @param {(string|physicsProps)} options Name of a physics
+   * {@link PHYSICS_PROFILES|profile} _or_ a set of physics options.
+   * @returns {FlowmapEffect} The instance.
+   * @throws {TypeError} If the profile is unknown.
+   *
+   * @example
+   * effect.setPhysics('viscous');
+   * effect.setPhysics({ profile: 'snappy', pressure: false });
+   */
+  setPhysics(options) {
+    this.physics = resolvePhysics(options);
+    this.flowmap?.setDefaults({
+      dissipation: this.options.flowmap.dissipation ?? this.physics.dissipation,
+    });
+    // Kept for the next mount
+    this.options.physics = options;
+    this.writeLink();
+
+    return this;
+  }
+
+  /**
+   * Read the state of the deep link from the URL. Values that don't parse
+   * _or_ an unknown preset are left out.
+   *
+   * @returns {Object} Any of the `image` index, the distortion `preset`
+   * _and_ `strength`, _and_ the flowmap `dissipation` _and_ `falloff`.
+   */
+  readLink() {
+    const { mode } = this.deepLink;
+    const state = decodeState(mode === 'query' ? win.location.search : win.location.hash);
+    const link = {};
+    const toNumber = (val) => (val && Number.isFinite(+val) ? +val : undefined);
+
+    // Numbered from 1, as the live region reads them
+    const image = toNumber(state.image);
+    if (Number.isInteger(image) && image > 0) link.image = image - 1;
+    if (state.preset in DISTORTION_PRESETS) link.preset = state.preset;
+    ['strength', 'dissipation', 'falloff'].forEach((key) => {
+      const val = toNumber(state[key]);
+      if (val !== undefined) link[key] = val;
+    });
+
+    return link;
+  }
+
+  /**
+   * Apply the state of a deep link: the image, the distortion _and_
+   * the flowmap parameters it has.
+   * @param {Object} link The state, as {@link FlowmapEffect#readLink|read from the URL}.
+   */
+  followLink({ image, preset, strength, dissipation, falloff }) {
+    const distortion = typeof this.options.distortion === 'string'
+      ? { preset: this.options.distortion }
+      : this.options.distortion;
+
+    this.followingLink = true;
+    try {
+      if (preset !== undefined || strength !== undefined) {
+        this.setDistortion({
+          ...distortion,
+          ...(preset !== undefined && { preset }),
+          ...(strength !== undefined && { strength }),
+        });
+      }
+      if (dissipation !== undefined || falloff !== undefined) {
+        this.setFlowmap({
+          ...(dissipation !== undefined && { dissipation }),
+          ...(falloff !== undefined && { falloff }),
+        });
+      }
+      if (image !== undefined && this.gallery.length) this.slideshow.goTo(image);
+    } finally {
+      this.followingLink = false;
+    }
+  }
+
+  /**
+   * Write the image _and_ the look on screen to the URL,
+   * keeping the rest of the hash _or_ the query. A new entry is pushed
+   * at once, the replacements wait for the `delay` w/o changes.
+   * @param {boolean} [isPushed=false] Add a history entry, rather than
+   * replace the current one.
+   */
+  writeLink(isPushed = false) {
+    if (!this.deepLink || this.followingLink || !this.isMounted) return;
+
+    // The entry written now has the latest state in
+    clearTimeout(this.linkTimer);
+    this.linkTimer = null;
+
+    if (isPushed) {
+      this.updateLink(true);
+    } else {
+      this.linkTimer = setTimeout(() => {
+        this.linkTimer = null;
+        if (this.isMounted) this.updateLink(false);
+      }, this.deepLink.delay);
+    }
+  }
+
+  /**
+   * Update the history entry w/ the state on screen, see {@link FlowmapEffect#writeLink}.
+   * @param {boolean} isPushed Add a history entry, rather than replace the current one.
+   */
+  updateLink(isPushed) {
+    const { mode } = this.deepLink;
+    const { index } = this.slideshow;
+    const { preset, params } = this.distortion;
+    const { dissipation, falloff } = this.flowmap.defaults;
+    const round = (val) => +val.toFixed(4);
+
+    const url = new URL(win.location.href);
+    const part = mode === 'query' ? 'search' : 'hash';
+    url[part] = encodeState({
+      ...decodeState(url[part]),
+      image: index >= 0 ? index + 1 : undefined,
+      preset,
+      strength: round(params.strength),
+      dissipation: round(dissipation),
+      falloff: round(falloff),
+    });
+    if (url.href === win.location.href) return;
+
+    win.history[isPushed ? 'pushState' : 'replaceState'](win.history.state, '', url);
+  }
+
+  /**
+   * Start recording the canvas.
+   *
+   * @param {recordingProps} [options={}] A set of recording options:
+   * `fps`, `format` (`'webm'` _or_ `'png'`), `duration`…
+   * @returns {FlowmapEffect} The instance.
+   * @throws {Error} If a recording is in progress already,
+   * _or_ the format isn't supported.
+   *
+   * @example <caption>Real time WebM video</caption>
+   * effect.startRecording({ fps: 60 });
+   * const video = await effect.stopRecording();
+   * @example <caption>Frame-exact PNG sequence of 2 seconds, zipped</caption>
+   * effect.startRecording({ format: 'png', fps: 30, duration: 2000 });
+   * const frames = await effect.stopRecording();
+   */
+  startRecording(options = {}) {
+    if (!this.isMounted) throw new Error('The effect is not mounted');
+
+    this.recorder ??= new Recorder(this);
+    this.recorder.start(options);
+
+    return this;
+  }
+
+  /**
+   * Stop recording the canvas. A recording of a set `duration`
+   * that's over already resolves w/ its result as well.
+   *
+   * @returns {Promise.<Blob>} The WebM video _or_ the zipped PNG sequence.
+   */
+  stopRecording() {
+    return this.recorder
+      ? this.recorder.stop()
+      : Promise.reject(new Error('Nothing is being recorded'));
+  }
+
+  /**
+   * Switch between different textures.
+   * Picks the image by its {@link num|numeric value}, which the
+   * {@link Slideshow|slideshow} advances on navigation.
+   *
+   * @param {number} [num=0] Input value to {@link FlowmapEffect#pickTexture|pick texture} from.
+   * @param {switchProps} [options={}] A set of texture switching options,
+   * over the ones computed from the gallery.
+   * @param {transitionProps} [transition={}] Options of the transition to the picked texture.
+   * @returns {Promise.<?HTMLImageElement>} Resolves w/ the picked image when the transition ends.
+   *
+   * @example <caption>The default state</caption>
+   * effect.switchTextures(0, { hasEqualDims: true });
+   * @example <caption>The negation of {@linkcode hasEqualDims}</caption>
+   * effect.switchTextures(0, { hasDiffSizes: true });
+   * @example <caption>Wait for a wipe to the second texture</caption>
+   * await effect.switchTextures(1, {}, { mode: 'wipe', duration: 600 });
+   */
+  switchTextures(num = 0, options = {}, transition = {}) {
+    // Computed from the gallery, unless specified
+    const { hasEqualDims, hasDiffSizes } = { ...this.switchProps, ...options };
+
+    const entry = this.gallery[num];
+    if (!entry) return Promise.resolve(null);
+
+    if (!hasEqualDims || hasDiffSizes) {
+      // Texture's dimensions needs update by image's data,
+      // the natural size once it's known
+      [this.imageSize.w, this.imageSize.h] = this.naturalSizes[num] || entry.ar;
+    }
+
+    const position = `Image ${num + 1} of ${this.gallery.length}`;
+    this.announce(entry.alt || position, entry.alt ? `${position}: ${entry.alt}` : position);
+
+    // Shown once the context is restored
+    if (this.isContextLost) return Promise.resolve(null);
+
+    // Per-image parameters, the ones not set return to the defaults
+    const { transition: entryTransition, fit, ...params } = entry.effect;
+    this.flowmap.setParams(params);
+
+    // Pick an image by its URL in the manifest
+    const picked = this.pickTexture(this.resolveURL(entry), {
+      ...entryTransition,
+      ...transition,
+    }, {
+      mode: fit || this.options.fit,
+      focus: entry.focus,
+    }, num);
+    // Preload the neighbours once the picked image is in
+    this.textures.acquire(this.resolveURL(entry))
+      .then(() => this.isMounted && this.preloadAround(num), () => {});
+
+    return picked;
+  }
+
+  /**
+   * Apply the received image as a WebGL texture.
+   *
+   * @async
+   * @param {URL} location The URL to load media resource from.
+   * @param {transitionProps} [transition={}] Options of the transition to the image.
+   * @param {fitProps} [fit={}] Fit mode _and_ focal point of the image.
+   * @param {number} [index=-1] Index of the gallery entry, if any.
+   * @returns {Promise.<?HTMLImageElement>} Selected texture's image,
+   * once the transition ends. `null` if it fails to load, w/ a `textureerror`
+   * event, _or_ if another image _or_ source is picked in the meantime.
+   */
+  async pickTexture(location, transition = {}, fit = {}, index = -1) {
+    const { textures } = this;
+    let texture;
+
+    // Quick clicks don't queue up the loads of the images skipped over
+    if (this.pending && this.pending.location !== location) textures.cancel(this.pending.location);
+    const pick = this.pending = { location };
+
+    const loaded = textures.acquire(location);
+    if (!textures.has(location) && { ...LOADING_DEFAULTS, ...this.options.loading }.placeholder) {
+      this.showPlaceholder(pick, this.gallery[index], transition, fit);
+    }
+
+    try {
+      texture = await loaded;
+    } catch (e) {
+      // Cancelled by the next pick, _or_ along w/ the scene
+      if (e.cause?.name === 'AbortError' || textures !== this.textures) return null;
+
+      const error = e instanceof TextureError ? e : new TextureError(location, e);
+      error.index = index;
+
+      const event = new CustomEvent('textureerror', {
+        detail: {
+          url: location,
+          index,
+          cause: error.cause,
+          error,
+        },
+        cancelable: true,
+      });
+      // Report it, unless a listener handles it
+      if (this.dispatchEvent(event)) console.error(error);
+
+      return null;
+    }
+
+    // The effect may have been destroyed, _or_ the scene rebuilt
+    // on a restored context, while the image was loading,
+    // _or_ another image _or_ source picked in the meantime
+    if (textures !== this.textures || this.pending !== pick) return null;
+    if (index >= 0) this.checkImage(index, texture.image);
+
+    texture.fit = fit;
+    const transitioned = this.transitionTo(texture, transition);
+    this.dispatchEvent(new CustomEvent('texturechange', {
+      detail: { index, url: location },
+    }));
+    await transitioned;
+
+    return texture.image;
+  }
+
+  /**
+   * Show a video, a camera stream _or_ a 2D canvas instead of the gallery
+   * image, once its first frame is ready. It's fitted like the images are,
+   * and re-uploaded only when a new frame is available.
+   * The autoplay of the slideshow stops, so it doesn't switch back.
+   *
+   * @async
+   * @param {(HTMLVideoElement|MediaStream|HTMLCanvasElement)} source The source.
+   * @param {Object} [options={}] Any of the {@link mediaProps|media options},
+   * along w/ the `fit`, the `focus`, the `transition` to the source,
+   * _and_ its text alternative `alt`.
+   * @returns {Promise.<?MediaTexture>} The media, w/ its playback controls,
+   * once the transition ends.
+   * @throws {SourceError} If the video _or_ the stream can't be played.
+   *
+   * @example
+   * const media = await effect.setSource(document.querySelector('video'), { loop: true });
+   * media.pause();
+   */
+  async setSource(source, options = {}) {
+    const {
+      transition = {},
+      fit = this.options.fit,
+      focus,
+      alt = '',
+      ...mediaOptions
+    } = options;
+    const { renderer } = this;
+    const media = new MediaTexture(this.gl, source, mediaOptions);
+
+    try {
+      await media.ready;
+    } catch (e) {
+      media.destroy();
+      throw e;
+    }
+
+    // The effect may have been destroyed while the source was loading
+    if (!this.isMounted) return null;
+    // …_or_ the context lost and restored, along w/ the texture
+    if (renderer !== this.renderer) media.restore();
+    // The image still loading won't be shown
+    if (this.pending) this.textures.cancel(this.pending.location);
+    this.pending = null;
+
+    media.texture.fit = { mode: fit, focus };
+    media.addEventListener('resize', () => this.isMounted && this.updateFit());
+    this.slideshow.stop();
+    this.announce(alt);
+    const transitioned = this.transitionTo(media.texture, transition);
+    this.dispatchEvent(new CustomEvent('texturechange', {
+      detail: { index: -1, source },
+    }));
+    await transitioned;
+
+    return media;
+  }
+
+  /**
+   * Show text _or_ an SVG instead of the gallery image, rasterized at the size
+   * and the pixel ratio of the canvas, and redrawn on resize _and_ once the
+   * web fonts load. The real text stays in the DOM, visually hidden,
+   * for search engines _and_ assistive technology.
+   *
+   * @async
+   * @param {(string|HTMLElement|SVGSVGElement)} content The text, an element
+   * whose text _and_ typography are taken, _or_ an SVG as an element _or_ its markup.
+   * A string of text is added to the container, elements are hidden in place.
+   * @param {Object} [options={}] Any of the {@link textProps|text options},
+   * over the ones of the element, along w/ the `transition` to the text
+   * _and_ the text alternative `alt` of the SVG markup.
+   * @returns {Promise.<?MediaTexture>} The media, once the transition ends.
+   *
+   * @example
+   * await document.fonts.load('700 1em Be Vietnam');
+   * effect.setText(document.querySelector('h1'), { background: '#111' });
+   */
+  async setText(content, options = {}) {
+    const { transition, alt = '', ...textOptions } = options;
+    let el = content instanceof Element ? content : null;
+    let text = content;
+    let styles = {};
+    // The inline styles of an element passed in, restored once it's released
+    const cssText = el?.style.cssText;
+
+    if (el instanceof HTMLElement) {
+      // Read before it's hidden, w/ its line breaks
+      text = el.innerText;
+      styles = readTextStyles(el);
+    } else if (!el && !isSVG(content)) {
+      el = doc.createElement('p');
+      el.textContent = content;
+      this.container.appendChild(el);
+    }
+
+    const source = new TextSource(text, {
+      background: this.options.background,
+      ...styles,
+      ...textOptions,
+    });
+    const release = () => {
+      source.destroy();
+      if (cssText === undefined) el?.remove();
+      else el.style.cssText = cssText;
+    };
+
+    // Wired once it's on screen, as it may be dropped before the transition ends
+    const onTextureEv = ({ detail }) => {
+      if (detail.source !== source.canvas) return;
+
+      const { media } = this;
+      source.addEventListener('change', () => {
+        media.invalidate();
+        if (this.isMounted) this.updateFit();
+      });
+      media.addEventListener('destroy', () => {
+        if (this.text === source) this.text = null;
+        release();
+      }, { once: true });
+      /**
+       * The text _or_ SVG source on screen, redrawn on resize.
+       * @type {?TextSource}
+       */
+      this.text = source;
+    };
+
+    if (el) Object.assign(el.style, VISUALLY_HIDDEN);
+    source.setSize(this.vw, this.vh, this.renderer.dpr);
+    this.addEventListener('texturechange', onTextureEv, false);
+
+    try {
+      await source.ready;
+      const media = this.isMounted
+        ? await this.setSource(source.canvas, { live: false, alt, transition })
+        : null;
+      if (!media) release();
+      return media;
+    } catch (e) {
+      release();
+      throw e;
+    } finally {
+      this.removeEventListener('texturechange', onTextureEv, false);
+    }
+  }
+
+  /**
+   * Show the placeholder of the gallery entry while its image loads:
+   * its low-res version, its colour _or_ the background colour.
+   *
+   * @async
+   * @param {Object} pick The pick the placeholder stands in for,
+   * w/ the `location` of its image.
+   * @param {galleryEntry} [entry] The gallery entry, if any.
+   * @param {transitionProps} [transition={}] Options of the transition to the placeholder.
+   * @param {fitProps} [fit={}] Fit mode _and_ focal point of the image.
+   */
+  async showPlaceholder(pick, entry, transition = {}, fit = {}) {
+    const { textures } = this;
+    const { placeholder = this.options.background } = entry || {};
+    let image;
+
+    if (isColor(placeholder)) {
+      const { w, h } = entry ? { w: entry.width, h: entry.height } : this.imageSize;
+      // A few texels in the aspect ratio of the image, so it's fitted alike
+      image = document.createElement('canvas');
+      image.width = 16;
+      image.height = Math.max(1, Math.round(16 * h / w));
+      const ctx = image.getContext('2d');
+      ctx.fillStyle = placeholder;
+      ctx.fillRect(0, 0, image.width, image.height);
+    } else {
+      try {
+        image = await this.loadImage(placeholder);
+      } catch (e) {
+        return;
+      }
+    }
+
+    // The image may be in by now, _or_ another one picked
+    if (textures !== this.textures || this.pending !== pick || textures.has(pick.location)) return;
+
+    const { gl } = this;
+    const texture = new Texture(gl, {
+      image,
+      generateMipmaps: false,
+      minFilter: gl.LINEAR,
+      magFilter: gl.LINEAR,
+    });
+    texture.isPlaceholder = true;
+    texture.fit = fit;
+    this.transitionTo(texture, transition);
+  }
+
+  /**
+   * Load the image by its URL, w/ the {@link loadingProps|loading options}.
+   *
+   * @async
+   * @param {URL} location The URL to load media resource from.
+   * @param {AbortSignal} [signal] Cancels the loading.
+   * @returns {Promise.<HTMLImageElement>} The decoded image.
+   */
+  loadImage(location, signal) {
+    return fetchImage(location, { ...this.options.loading, signal });
+  }
+
+  /**
+   * Preload the gallery entries around the index,
+   * as many as the {@link textureManagerProps|texture options} ask for.
+   *
+   * @param {number} index Index of the current entry.
+   * @returns {Promise} Resolves when all of them settle.
+   */
+  preloadAround(index) {
+    const { ahead, behind } = this.textures.options;
+    const { length, isLooped } = this.slideshow.options;
+    const indices = new Set();
+
+    for (let i = 1; i <= Math.max(ahead, behind); i++) {
+      if (i <= ahead) indices.add(index + i);
+      if (i <= behind) indices.add(index - i);
+    }
+
+    const urls = [...indices]
+      .map((idx) => (isLooped ? ((idx % length) + length) % length : idx))
+      .filter((idx) => idx !== index && this.gallery[idx])
+      .map((idx) => this.resolveURL(this.gallery[idx]));
+
+    return this.textures.preload([...new Set(urls)]);
+  }
+
+  /**
+   * Transition from the texture on screen to the given one.
+   *
+   * @param {Texture} texture The incoming texture.
+   * @param {transitionProps} [options={}] Options of the transition.
+   * @returns {Promise.<boolean>} Resolves when the transition ends.
+   * @throws {TypeError} If the mode is unknown, w/ the texture on screen kept.
+   */
+  transitionTo(texture, options = {}) {
+    // Before the textures are swapped, so a bad mode leaves them as they are
+    this.transition.readOptions(options);
+
+    const { uniforms } = this.program;
+    const from = this.texture;
+    const previous = uniforms.tWaterFrom.value;
+
+    // Nothing to transition from on the first image
+    if (from === this.emptyTexture) options = { ...options, duration: 0 };
+    // Media cut off by an interrupted transition won't be shown again
+    if (previous !== from && previous !== texture) this.dropTexture(previous);
+
+    uniforms.tWaterFrom.value = from;
+    uniforms.tWater.value = texture;
+    this.texture = texture;
+    /**
+     * The video, stream _or_ canvas on screen, if any.
+     * @type {?MediaTexture}
+     */
+    this.media = texture.media || null;
+    this.textures.pin(from, texture);
+    this.updateFit();
+
+    return this.transition.start(options).then((isCompleted) => {
+      if (isCompleted && this.textures) {
+        // The outgoing texture may be evicted from now on
+        uniforms.tWaterFrom.value = texture;
+        this.textures.pin(texture);
+        if (from !== texture) this.dropTexture(from);
+      }
+      return isCompleted;
+    });
+  }
+
+  /**
+   * Release the texture that won't be shown again: destroy its media
+   * _or_ delete the placeholder. Images stay w/ the texture manager.
+   * @param {Texture} texture The outgoing texture.
+   */
+  dropTexture(texture) {
+    texture.media?.destroy();
+    if (texture.isPlaceholder) this.gl.deleteTexture(texture.texture);
+  }
+
+  /**
+   * Match the canvas to the size of the container and refit the textures.
+   */
+  resize() {
+    if (!this.renderer) return;
+
+    // The container may be hidden _or_ collapsed, fall back to the viewport
+    const { clientWidth, clientHeight } = this.container;
+    const vw = this.vw = clientWidth || win.innerWidth;
+    const vh = this.vh = clientHeight || win.innerHeight;
+
+    this.renderer.setSize(vw, vh);
+    this.aspect = vw / vh;
+    this.text?.setSize(vw, vh, this.renderer.dpr);
+    this.updateFit();
+  }
+
+  /**
+   * Fit both the outgoing and incoming textures into the canvas,
+   * by the natural size of their images.
+   */
+  updateFit() {
+    const { uniforms } = this.program;
+    const pairs = [
+      [uniforms.tWaterFrom.value, uniforms.uFitFrom.value, 'x'],
+      [uniforms.tWater.value, uniforms.uFitTo.value, 'y'],
+    ];
+
+    pairs.forEach(([texture, fitValue, maskKey]) => {
+      const { mode = this.options.fit, focus } = texture.fit || {};
+      // Declared size until the image is in
+      const ratio = texture.image
+        ? getImgAspectRatio(texture.image).landscape
+        : this.imageSize.h / this.imageSize.w;
+
+      fitValue.set(...computeFit({
+        mode,
+        focus,
+        ratio,
+        width: this.vw,
+        height: this.vh,
+      }));
+      uniforms.uMasked.value[maskKey] = mode === 'contain' ? 1 : 0;
+    });
+  }
+
+  updatePointer(e) {
+    // The mouse keeps its id, for the recordings made before Pointer Events
+    const id = e.pointerType === 'mouse' ? 'mouse' : e.pointerId;
+
+    if (e.type === 'pointerup' || e.type === 'pointercancel') {
+      // The mouse goes on hovering once its button is up
+      if (id !== 'mouse') this.endPointer(id);
+      return;
+    }
+    this.trackPointer(id, e.clientX, e.clientY, e);
+  }
+
+  /**
+   * Update position and velocity of a single pointer.
+   *
+   * @param {(string|number)} id Pointer identifier.
+   * @param {number} x Horizontal position, in CSS pixels from the viewport.
+   * @param {number} y Vertical position, in CSS pixels from the viewport.
+   * @param {PointerEvent} [e] Event of the move, for the pressure
+   * _and_ the contact size to scale the stamp by.
+   */
+  trackPointer(id, x, y, e) {
+    // The live input is ignored while a replay runs alone
+    if (this.replay?.isPlaying && !this.replay.options.blend) return;
+
+    let pointer = this.pointers.get(id);
+    let isNew = false;
+    if (!pointer || pointer.isEnded) {
+      // Ignore pointers over the limit until one of the others ends
+      if (!makeRoom(this.pointers, id, this.options.maxPointers)) return;
+      pointer = createPointer();
+      this.pointers.set(id, pointer);
+      isNew = true;
+    }
+
+    // Relative to the canvas, as it may be scrolled _or_ not full-screen
+    const { left, top, width, height } = this.gl.canvas.getBoundingClientRect();
+    if (isNew) {
+      this.dispatchEvent(new CustomEvent('pointerstart', {
+        detail: { id, x: x - left, y: y - top },
+      }));
+    }
+    const time = performance.now();
+    movePointer(pointer, x - left, y - top, width, height, time, this.physics);
+    if (e) pressPointer(pointer, e, this.physics);
+    this.inputRecorder?.record(id, 'move', x - left, y - top, time);
+    // Real input hands the attract mode back
+    this.attract?.interact(time);
+
+    // Playing w/ the distortion holds the autoplay, hovering the rest of the page doesn't
+    const isOver = x >= left && x <= left + width && y >= top && y <= top + height;
+    if (isOver || e?.buttons) this.slideshow.interact();
+  }
+
+  /**
+   * Stop tracking the pointer, once lifted. It's dropped once
+   * its last move is stamped, see {@link stampPointers}.
+   * @param {(string|number)} id Pointer identifier.
+   */
+  endPointer(id) {
+    const pointer = this.pointers.get(id);
+    if (pointer && !pointer.isEnded) {
+      pointer.isEnded = true;
+      this.inputRecorder?.record(id, 'end', 0, 0, performance.now());
+      this.dispatchEvent(new CustomEvent('pointerend', { detail: { id } }));
+    }
+  }
+
+  /**
+   * Start recording the pointer input, to {@link FlowmapEffect#replayInput|replay} it later.
+   * @returns {FlowmapEffect} The instance.
+   */
+  startInputRecording() {
+    const { width, height } = this.gl.canvas.getBoundingClientRect();
+    this.inputRecorder = new InputRecorder().start(width, height);
+
+    return this;
+  }
+
+  /**
+   * Stop recording the pointer input.
+   * @returns {?pointerRecording} The recording, to be saved as JSON,
+   * _or_ `null` if nothing is being recorded.
+   */
+  stopInputRecording() {
+    if (!this.inputRecorder?.isRecording) return null;
+
+    const recording = this.inputRecorder.stop();
+    this.inputRecorder = null;
+
+    return recording;
+  }
+
+  /**
+   * Play the recorded pointer input back into the flowmap,
+   * stopping the replay in progress, if any.
+   *
+   * @param {(pointerRecording|string)} recording The recording _or_ its JSON.
+   * @param {replayProps} [options={}] Any of `speed`, `loop` _and_ `blend`.
+   * @returns {Promise} Resolves once the replay ends _or_ is stopped.
+   * @throws {TypeError} If the recording _or_ its JSON is malformed.
+   *
+   * @example
+   * const recording = effect.stopInputRecording();
+   * localStorage.setItem('hero', JSON.stringify(recording));
+   * // …later
+   * effect.replayInput(localStorage.getItem('hero'), { speed: 1.5, loop: true });
+   */
+  replayInput(recording, options = {}) {
+    const replay = new InputReplay(recording, options);
+
+    this.stopReplay();
+    this.replay = replay;
+
+    return replay.finished;
+  }
+
+  /**
+   * Stop the replay in progress, if any.
+   */
+  stopReplay() {
+    this.replay?.stop(this.pointers);
+    this.replay = null;
+  }
+
+  /**
+   * Advance the scene to the time and render a single frame.
+   * @param {number} t Current time, in ms.
+   */
+  update(t) {
+    const { flowmap } = this;
+    const { uniforms } = this.program;
+
+    // Flag the video _or_ canvas frames for upload, if new
+    uniforms.tWaterFrom.value.media?.update();
+    uniforms.tWater.value.media?.update();
+
+    this.replay?.update(t, this.pointers, this.physics);
+    if (!this.isMotionReduced) {
+      this.attract?.update(t, this.pointers, this.vw, this.vh, this.physics);
+    }
+    stampPointers(this.pointers, flowmap, this.physics);
+    flowmap.aspect = this.aspect;
+    flowmap.update();
+    this.transition.update(t);
+    this.program.uniforms.uTime.value = t * 0.01;
+    this.renderer.render({ scene: this.mesh });
+    this.dispatchEvent(new CustomEvent('frame', { detail: { time: t } }));
+  }
 }
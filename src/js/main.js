@@ -0,0 +1,25 @@
+import { FlowmapEffect } from './index.js';
+
+const effect = new FlowmapEffect({ deepLink: true });
+
+effect.mount(document.body);
+
+/**
+ * Whether the page runs for development: on a local server, _or_ w/ the
+ * `flowmap-effect:dev` flag set in `localStorage` from the console.
+ * @returns {boolean}
+ */
+const isDev = () => {
+  if (['localhost', '127.0.0.1'].includes(location.hostname)) return true;
+  try {
+    return localStorage.getItem('flowmap-effect:dev') === '1';
+  } catch (e) {
+    // Storage blocked
+    return false;
+  }
+};
+
+// The tweak panel is a development tool, kept out of production
+if (isDev() && effect.isMounted) {
+  import('./tweak-panel.js').then(({ TweakPanel }) => new TweakPanel(effect));
+}
@@ -0,0 +1,263 @@
+import { FIT_MODES } from './fit.js';
+
+/**
+ * @typedef {Object} galleryEntry
+ * A single image of the gallery, as it's declared in the manifest.
+ *
+ * @prop {string} url URL of the image, relative to the manifest.
+ * Either `url` _or_ `src` is required.
+ * @prop {variantsProps} [src] Structure of the URLs of the image's variants,
+ * as passed to `assetURL`, to pick the best format _and_ resolution from.
+ * @prop {number} width Intrinsic width of the image, in px.
+ * @prop {number} height Intrinsic height of the image, in px.
+ * @prop {string} [alt=''] Text alternative of the image.
+ * @prop {number[]} [focus=[0.5, 0.5]] Focal point, `[x, y]` in 0–1 range
+ * from the top left corner.
+ * @prop {string} [placeholder] Shown until the image decodes: a hex, `rgb()`
+ * _or_ `hsl()` colour, _or_ the URL of a low-res version, relative to the manifest.
+ * @prop {Object} [effect={}] Effect parameters used while the image is shown,
+ * any of the {@link EFFECT_KEYS}.
+ */
+
+/**
+ * @typedef {Object} variantsProps
+ * The object describes the files an image is available in,
+ * named like `tex/img0-750w-q80.avif`.
+ *
+ * @prop {string} [base] Directory, relative to the manifest.
+ * @prop {string} [name] File name.
+ * @prop {string} [desc] File identifier, after the name.
+ * @prop {string} [suffix] Suffix, after the resolution.
+ * @prop {string[]} [formats=['avif', 'webp', 'jpg']] Formats available,
+ * in the order of preference.
+ * @prop {number[]} [widths] Widths of the resolution variants available, in px.
+ */
+
+/**
+ * Formats an image variant can be declared in.
+ * @const @default
+ */
+const FORMATS = ['avif', 'webp', 'jpg', 'jpeg'];
+
+/**
+ * Per-image effect parameters, mapped to the type of their values.
+ * @readonly
+ * @enum {string}
+ */
+export const EFFECT_KEYS = {
+  falloff: 'number',
+  alpha: 'number',
+  dissipation: 'number',
+  fit: 'string',
+  transition: 'object',
+};
+
+/**
+ * Thrown when the manifest can't be loaded _or_ doesn't validate.
+ * @class
+ * @extends Error
+ *
+ * @param {string} message Summary of the failure.
+ * @param {string[]} [problems=[]] Every problem found, one per entry field.
+ */
+export class ManifestError extends Error {
+  constructor(message, problems = []) {
+    super(problems.length
+      ? `${message}\n${problems.map((p) => `  - ${p}`).join('\n')}`
+      : message);
+    this.name = 'ManifestError';
+    this.problems = problems;
+  }
+}
+
+const isObject = (val) => val !== null
+  && typeof val === 'object'
+  && !Array.isArray(val);
+
+const isSize = (val) => Number.isFinite(val) && val > 0;
+
+const isUnit = (val) => Number.isFinite(val) && val >= 0 && val <= 1;
+
+/**
+ * Check if the placeholder of an entry is a colour, rather than a URL.
+ * @param {string} val The placeholder.
+ * @returns {boolean}
+ */
+export const isColor = (val) => /^(#|rgba?\(|hsla?\()/i.test(val.trim());
+
+/**
+ * Check the variants of an entry, collecting the problems found.
+ *
+ * @param {*} src The variants to check.
+ * @param {string} path Path of the variants in the manifest, for the messages.
+ * @param {string[]} problems List to push the problems into.
+ */
+const validateVariants = (src, path, problems) => {
+  if (!isObject(src)) {
+    problems.push(`${path}: expected an object`);
+    return;
+  }
+
+  const { formats = [], widths = [] } = src;
+
+  ['base', 'name', 'desc', 'suffix'].forEach((key) => {
+    if (key in src && typeof src[key] !== 'string') {
+      problems.push(`${path}.${key}: expected a string`);
+    }
+  });
+  if (!Array.isArray(formats) || !formats.every((f) => FORMATS.includes(f))) {
+    problems.push(`${path}.formats: expected an array of ${FORMATS.join(', ')}`);
+  }
+  if (!Array.isArray(widths) || !widths.every(isSize)) {
+    problems.push(`${path}.widths: expected an array of positive numbers`);
+  }
+};
+
+/**
+ * Check a single entry, collecting the problems found.
+ *
+ * @param {*} entry The entry to check.
+ * @param {string} path Path of the entry in the manifest, for the messages.
+ * @param {string[]} problems List to push the problems into.
+ * @returns {?galleryEntry} Entry w/ the defaults applied, if valid.
+ */
+const validateEntry = (entry, path, problems) => {
+  const found = problems.length;
+
+  if (!isObject(entry)) {
+    problems.push(`${path}: expected an object`);
+    return null;
+  }
+
+  const {
+    url,
+    src,
+    width,
+    height,
+    alt = '',
+    focus = [0.5, 0.5],
+    placeholder,
+    effect = {},
+  } = entry;
+
+  if (src === undefined && (typeof url !== 'string' || !url.trim())) {
+    problems.push(`${path}.url: expected a non-empty string`);
+  }
+  if (src !== undefined) validateVariants(src, `${path}.src`, problems);
+  if (!isSize(width)) {
+    problems.push(`${path}.width: expected a positive number, got ${JSON.stringify(width)}`);
+  }
+  if (!isSize(height)) {
+    problems.push(`${path}.height: expected a positive number, got ${JSON.stringify(height)}`);
+  }
+  if (typeof alt !== 'string') {
+    problems.push(`${path}.alt: expected a string`);
+  }
+  if (!Array.isArray(focus) || focus.length !== 2 || !focus.every(isUnit)) {
+    problems.push(`${path}.focus: expected [x, y] in 0–1 range`);
+  }
+  if (placeholder !== undefined && (typeof placeholder !== 'string' || !placeholder.trim())) {
+    problems.push(`${path}.placeholder: expected a colour or a URL`);
+  }
+  if (!isObject(effect)) {
+    problems.push(`${path}.effect: expected an object`);
+  } else {
+    Object.entries(effect).forEach(([key, val]) => {
+      if (!(key in EFFECT_KEYS)) {
+        problems.push(`${path}.effect.${key}: unknown parameter`);
+      } else if (EFFECT_KEYS[key] === 'object' ? !isObject(val) : typeof val !== EFFECT_KEYS[key]) {
+        problems.push(`${path}.effect.${key}: expected a${EFFECT_KEYS[key] === 'object' ? 'n' : ''} ${EFFECT_KEYS[key]}`);
+      } else if (key === 'fit' && !FIT_MODES.includes(val)) {
+        problems.push(`${path}.effect.fit: expected one of ${FIT_MODES.join(', ')}`);
+      }
+    });
+  }
+
+  if (problems.length > found) return null;
+
+  return {
+    url,
+    ...(src && { src: { ...src } }),
+    width,
+    height,
+    ar: [width, height],
+    alt,
+    focus: [...focus],
+    ...(placeholder && { placeholder }),
+    effect: { ...effect },
+  };
+};
+
+/**
+ * Validate the manifest, reporting every problem at once.
+ *
+ * @param {*} data Parsed manifest.
+ * @returns {{ images: galleryEntry[] }} Manifest w/ the defaults applied.
+ * @throws {ManifestError} If the manifest is malformed.
+ *
+ * @example
+ * validateManifest({ images: [{ url: 'img0.jpg', width: 3024, height: 4032 }] });
+ */
+export const validateManifest = (data) => {
+  const problems = [];
+
+  if (!isObject(data)) {
+    throw new ManifestError('Invalid manifest', ['expected an object']);
+  }
+  if (!Array.isArray(data.images) || !data.images.length) {
+    throw new ManifestError('Invalid manifest', ['images: expected a non-empty array']);
+  }
+
+  const images = data.images.map((entry, idx) => (
+    validateEntry(entry, `images[${idx}]`, problems)
+  ));
+
+  if (problems.length) throw new ManifestError('Invalid manifest', problems);
+
+  return { images };
+};
+
+/**
+ * Load the gallery manifest from a JSON file _or_ take an inline object,
+ * and validate it.
+ * Image URLs of a loaded file are resolved against the file's URL.
+ *
+ * @async
+ * @param {(string|URL|Object)} source URL of the JSON file _or_ the manifest itself.
+ * @returns {Promise.<{ images: galleryEntry[] }>} The validated manifest.
+ * @throws {ManifestError} If the file can't be fetched, parsed _or_ validated.
+ *
+ * @example
+ * const { images } = await loadManifest('tex/manifest.json');
+ */
+export async function loadManifest(source) {
+  if (!(typeof source === 'string' || source instanceof URL)) {
+    return validateManifest(source);
+  }
+
+  const location = new URL(source, document.baseURI);
+  let data;
+
+  try {
+    const res = await fetch(location);
+    if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+    data = await res.json();
+  } catch (e) {
+    throw new ManifestError(`Failed to load manifest from ${location}: ${e.message}`);
+  }
+
+  const manifest = validateManifest(data);
+  manifest.images.forEach((entry) => {
+    if (entry.src) {
+      // Variants are named by `assetURL`, prefixed by the manifest's directory
+      entry.src.prefix = new URL('.', location).href;
+    } else {
+      entry.url = new URL(entry.url, location).href;
+    }
+    if (entry.placeholder && !isColor(entry.placeholder)) {
+      entry.placeholder = new URL(entry.placeholder, location).href;
+    }
+  });
+
+  return manifest;
+}
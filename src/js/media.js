@@ -0,0 +1,251 @@
+import { Texture } from 'https://cdn.skypack.dev/ogl';
+
+/**
+ * @typedef {Object} mediaProps
+ * The object includes a set of options for {@link MediaTexture|a media source}.
+ *
+ * @prop {boolean} [loop=true] Whether the video starts over once it ends.
+ * @prop {boolean} [muted=true] Whether the video is muted, as browsers
+ * only autoplay muted videos.
+ * @prop {boolean} [autoplay=true] Whether the video plays once it's ready.
+ * @prop {boolean} [live=true] Whether the canvas is re-uploaded every frame,
+ * rather than on {@link MediaTexture#invalidate|invalidate} only.
+ */
+
+/**
+ * Default {@link mediaProps|media options}.
+ * @const @default
+ */
+export const MEDIA_DEFAULTS = {
+  loop: true,
+  muted: true,
+  autoplay: true,
+  live: true,
+};
+
+/**
+ * Check if the source is a canvas, which has no frames of its own.
+ * @param {*} source The source.
+ * @returns {boolean}
+ */
+const isCanvas = (source) => source instanceof HTMLCanvasElement
+  || (typeof OffscreenCanvas !== 'undefined' && source instanceof OffscreenCanvas);
+
+/**
+ * Thrown when a video _or_ a stream can't be played.
+ * @class
+ * @extends Error
+ *
+ * @param {(HTMLVideoElement|MediaStream|HTMLCanvasElement)} source The source.
+ * @param {*} [cause] The failure, e.g. the `error` of the video.
+ */
+export class SourceError extends Error {
+  constructor(source, cause) {
+    super('Failed to load the media source', { cause });
+    this.name = 'SourceError';
+    this.source = source;
+  }
+}
+
+/**
+ * Keep a video, camera _or_ canvas uploaded as a GL texture,
+ * re-uploading it only when a new frame is available.
+ * @class
+ * @classdesc Fires a `resize` event when the size of the video changes,
+ * e.g. once its metadata loads _or_ the camera switches its resolution,
+ * _and_ a `destroy` event once it's released.
+ *
+ * @param {WebGLRenderingContext} gl The GL context.
+ * @param {(HTMLVideoElement|MediaStream|HTMLCanvasElement)} source The source.
+ * A stream is played through a video element of its own.
+ * @param {mediaProps} [options={}] A set of media options.
+ *
+ * @example
+ * const media = new MediaTexture(gl, await navigator.mediaDevices.getUserMedia({ video: true }));
+ * await media.ready;
+ * program.uniforms.tWater.value = media.texture;
+ * // …every frame
+ * media.update();
+ */
+export class MediaTexture extends EventTarget {
+  constructor(gl, source, options = {}) {
+    super();
+
+    this.options = { ...MEDIA_DEFAULTS, ...options };
+    this.isOwned = source instanceof MediaStream;
+
+    if (this.isOwned) {
+      const video = document.createElement('video');
+      video.srcObject = source;
+      source = video;
+    }
+
+    this.source = source;
+    this.isVideo = source instanceof HTMLVideoElement;
+    this.hasNewFrame = true;
+    this.lastTime = -1;
+    this.frameId = null;
+
+    this.createTexture(gl);
+
+    this.onResizeEv = () => {
+      this.hasNewFrame = true;
+      this.dispatchEvent(new CustomEvent('resize'));
+    };
+
+    if (this.isVideo) {
+      const { loop, muted } = this.options;
+      Object.assign(source, { loop, muted, playsInline: true });
+      source.addEventListener('resize', this.onResizeEv, false);
+
+      // Called once per frame the video presents, where supported
+      if ('requestVideoFrameCallback' in source) {
+        const onFrame = () => {
+          this.hasNewFrame = true;
+          this.frameId = source.requestVideoFrameCallback(onFrame);
+        };
+        this.frameId = source.requestVideoFrameCallback(onFrame);
+      }
+    }
+
+    /**
+     * Resolves once the first frame can be uploaded,
+     * rejects w/ a {@link SourceError} if it can't be played.
+     * @type {Promise.<MediaTexture>}
+     */
+    this.ready = this.isVideo && source.readyState < source.HAVE_CURRENT_DATA
+      ? new Promise((resolve, reject) => {
+        source.addEventListener('loadeddata', () => resolve(this), { once: true });
+        source.addEventListener('error', () => reject(new SourceError(source, source.error)), { once: true });
+      })
+      : Promise.resolve(this);
+
+    if (this.isVideo && this.options.autoplay) this.ready.then(() => this.play(), () => {});
+  }
+
+  createTexture(gl) {
+    this.texture = new Texture(gl, {
+      image: this.source,
+      // Re-uploaded too often for mipmaps to pay off
+      generateMipmaps: false,
+      minFilter: gl.LINEAR,
+      magFilter: gl.LINEAR,
+      wrapS: gl.CLAMP_TO_EDGE,
+      wrapT: gl.CLAMP_TO_EDGE,
+    });
+    this.texture.media = this;
+    this.hasNewFrame = true;
+  }
+
+  /**
+   * Create the GL texture anew, once a lost context is restored.
+   * The source keeps playing, its next frame is uploaded on the next update.
+   * @returns {Texture} The new texture, w/ the `fit` of the old one.
+   */
+  restore() {
+    const { gl, fit } = this.texture;
+
+    this.createTexture(gl);
+    this.texture.fit = fit;
+
+    return this.texture;
+  }
+
+  /**
+   * Width _and_ height of the source's frames, in px.
+   * @type {{ width: number, height: number }}
+   */
+  get size() {
+    const { source } = this;
+    return this.isVideo
+      ? { width: source.videoWidth, height: source.videoHeight }
+      : { width: source.width, height: source.height };
+  }
+
+  /**
+   * Whether the video is paused. A canvas never is.
+   * @type {boolean}
+   */
+  get paused() {
+    return this.isVideo ? this.source.paused : false;
+  }
+
+  /**
+   * Whether the video starts over once it ends.
+   * @type {boolean}
+   */
+  get loop() {
+    return this.options.loop;
+  }
+
+  set loop(value) {
+    this.options.loop = !!value;
+    if (this.isVideo) this.source.loop = this.options.loop;
+  }
+
+  /**
+   * Play the video.
+   * @returns {Promise} Resolves once it plays, rejects if the browser blocks it.
+   */
+  play() {
+    return this.isVideo ? this.source.play() : Promise.resolve();
+  }
+
+  /**
+   * Pause the video.
+   */
+  pause() {
+    if (this.isVideo) this.source.pause();
+  }
+
+  /**
+   * Mark the canvas as redrawn, to be re-uploaded on the next update.
+   */
+  invalidate() {
+    this.hasNewFrame = true;
+  }
+
+  /**
+   * Flag the texture for upload if a new frame is available.
+   * Called once per frame, before rendering.
+   */
+  update() {
+    const { source } = this;
+
+    if (this.isVideo) {
+      if (source.readyState < source.HAVE_CURRENT_DATA) return;
+      // W/o frame callbacks, a frame is new if the playback moved on
+      if (this.frameId === null && source.currentTime !== this.lastTime) {
+        this.lastTime = source.currentTime;
+        this.hasNewFrame = true;
+      }
+    } else if (isCanvas(source) && this.options.live) {
+      this.hasNewFrame = true;
+    }
+
+    if (!this.hasNewFrame) return;
+    this.hasNewFrame = false;
+    this.texture.needsUpdate = true;
+  }
+
+  /**
+   * Delete the GL texture and stop the video it played the stream through.
+   * A video passed in is left as it is.
+   */
+  destroy() {
+    const { source } = this;
+
+    if (this.isVideo) {
+      source.removeEventListener('resize', this.onResizeEv, false);
+      if (this.frameId !== null) source.cancelVideoFrameCallback(this.frameId);
+      this.frameId = null;
+    }
+    if (this.isOwned) {
+      source.pause();
+      source.srcObject = null;
+    }
+
+    this.texture.gl.deleteTexture(this.texture.texture);
+    this.dispatchEvent(new CustomEvent('destroy'));
+  }
+}
@@ -0,0 +1,32 @@
+/**
+ * Media query the user's motion preference is read from.
+ * @const @default
+ */
+export const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+/**
+ * Call back w/ the user's motion preference, now and whenever it changes.
+ *
+ * @param {function(boolean): void} callback Called w/ `true`
+ * if the user prefers reduced motion.
+ * @param {(string|boolean)} [preference='auto'] `'auto'` follows the media query,
+ * `true` _or_ `false` force the preference instead.
+ * @returns {function(): void} Stops watching.
+ *
+ * @example
+ * const unwatch = watchReducedMotion((isReduced) => distortion.setScale(isReduced ? 0 : 1));
+ */
+export const watchReducedMotion = (callback, preference = 'auto') => {
+  if (preference !== 'auto' || typeof matchMedia === 'undefined') {
+    callback(preference === true);
+    return () => {};
+  }
+
+  const mql = matchMedia(REDUCED_MOTION_QUERY);
+  const onChange = () => callback(mql.matches);
+
+  mql.addEventListener('change', onChange);
+  onChange();
+
+  return () => mql.removeEventListener('change', onChange);
+};
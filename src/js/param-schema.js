@@ -0,0 +1,263 @@
+import { FLOWMAP_DEFAULTS } from './flowmap.js';
+import { DISTORTION_DEFAULTS, DISTORTION_PRESETS } from './distortion.js';
+import { PHYSICS_DEFAULTS } from './pointer.js';
+
+/**
+ * @typedef {Object} paramSpec
+ * The object describes a single tunable parameter.
+ *
+ * @prop {string} type `'number'`, `'integer'`, `'boolean'`, `'color'` _or_ `'option'`.
+ * @prop {string[]} [options] Values an option takes.
+ * @prop {number} [min] Lowest value of a number.
+ * @prop {number} [max] Highest value of a number.
+ * @prop {number} [step] Step of a number, for the controls.
+ * @prop {*} default Value the parameter starts at.
+ * @prop {string} description What the parameter does.
+ */
+
+/**
+ * Every tunable parameter of the effect, by the group it's set through:
+ * the `flowmap` (`setFlowmap()`), the `distortion` (`setDistortion()`)
+ * _and_ the `physics` (`setPhysics()`).
+ * @type {Object.<string, Object.<string, paramSpec>>}
+ */
+export const PARAM_SCHEMA = {
+  flowmap: {
+    size: {
+      type: 'integer',
+      min: 16,
+      max: 512,
+      step: 16,
+      default: FLOWMAP_DEFAULTS.size,
+      description: 'Size of the render targets, in texels. The quality governor steps down from it.',
+    },
+    falloff: {
+      type: 'number',
+      min: 0,
+      max: 1,
+      step: 0.01,
+      default: FLOWMAP_DEFAULTS.falloff,
+      description: 'Size of the stamp, as a share of the canvas.',
+    },
+    alpha: {
+      type: 'number',
+      min: 0,
+      max: 1,
+      step: 0.01,
+      default: FLOWMAP_DEFAULTS.alpha,
+      description: 'Opacity of the stamp.',
+    },
+    dissipation: {
+      type: 'number',
+      min: 0.8,
+      max: 1,
+      step: 0.001,
+      default: FLOWMAP_DEFAULTS.dissipation,
+      description: 'How much of the flow is left after each frame.',
+    },
+  },
+  distortion: {
+    preset: {
+      type: 'option',
+      options: ['', ...Object.keys(DISTORTION_PRESETS)],
+      default: '',
+      description: 'Preset the options are applied over, none if empty.',
+    },
+    strength: {
+      type: 'number',
+      min: 0,
+      max: 0.5,
+      step: 0.005,
+      default: DISTORTION_DEFAULTS.strength,
+      description: 'How far the flow displaces the image.',
+    },
+    rgbSplit: {
+      type: 'number',
+      min: 0,
+      max: 0.05,
+      step: 0.001,
+      default: DISTORTION_DEFAULTS.rgbSplit,
+      description: 'How far the colour channels split apart at full speed.',
+    },
+    rippleAmplitude: {
+      type: 'number',
+      min: 0,
+      max: 0.05,
+      step: 0.001,
+      default: DISTORTION_DEFAULTS.rippleAmplitude,
+      description: 'Displacement of the ripple at full speed.',
+    },
+    rippleFrequency: {
+      type: 'number',
+      min: 0,
+      max: 200,
+      step: 1,
+      default: DISTORTION_DEFAULTS.rippleFrequency,
+      description: 'Number of ripple waves across the canvas, times 2π.',
+    },
+    rippleSpeed: {
+      type: 'number',
+      min: 0,
+      max: 5,
+      step: 0.1,
+      default: DISTORTION_DEFAULTS.rippleSpeed,
+      description: 'Speed the ripple runs at.',
+    },
+    tint: {
+      type: 'color',
+      default: DISTORTION_DEFAULTS.tint,
+      description: 'Colour multiplied in at full speed.',
+    },
+    tintAmount: {
+      type: 'number',
+      min: 0,
+      max: 1,
+      step: 0.01,
+      default: DISTORTION_DEFAULTS.tintAmount,
+      description: 'How much of the tint is mixed in at full speed.',
+    },
+    brightness: {
+      type: 'number',
+      min: 0,
+      max: 1,
+      step: 0.01,
+      default: DISTORTION_DEFAULTS.brightness,
+      description: 'Brightness added at full speed.',
+    },
+  },
+  physics: {
+    minDelta: {
+      type: 'number',
+      min: 0,
+      max: 50,
+      step: 0.1,
+      default: PHYSICS_DEFAULTS.minDelta,
+      description: 'Shortest time between two moves, in ms.',
+    },
+    ease: {
+      type: 'number',
+      min: 0.01,
+      max: 1,
+      step: 0.01,
+      default: PHYSICS_DEFAULTS.ease,
+      description: 'How fast the stamped velocity follows the pointer.',
+    },
+    easeOut: {
+      type: 'number',
+      min: 0.01,
+      max: 1,
+      step: 0.01,
+      default: PHYSICS_DEFAULTS.easeOut,
+      description: 'How fast the stamped velocity fades out once the pointer stops.',
+    },
+    pressure: {
+      type: 'boolean',
+      default: PHYSICS_DEFAULTS.pressure,
+      description: 'Whether the pressure of a pen scales its stamp.',
+    },
+    contactSize: {
+      type: 'number',
+      min: 0,
+      max: 200,
+      step: 1,
+      default: PHYSICS_DEFAULTS.contactSize,
+      description: 'Contact size of a finger that stamps at the falloff, in CSS pixels.',
+    },
+  },
+};
+
+/**
+ * Thrown when a set of parameters doesn't match the schema.
+ * @class
+ * @extends Error
+ *
+ * @param {string[]} problems Every problem found, one per parameter.
+ */
+export class ParamsError extends Error {
+  constructor(problems) {
+    super(`Invalid parameters\n${problems.map((p) => `  - ${p}`).join('\n')}`);
+    this.name = 'ParamsError';
+    this.problems = problems;
+  }
+}
+
+const isObject = (val) => val !== null
+  && typeof val === 'object'
+  && !Array.isArray(val);
+
+/**
+ * Check a value against its spec.
+ *
+ * @param {paramSpec} spec The spec of the parameter.
+ * @param {*} val The value.
+ * @returns {?string} The problem, if any.
+ */
+const checkParam = (spec, val) => {
+  switch (spec.type) {
+    case 'boolean':
+      return typeof val === 'boolean' ? null : 'expected a boolean';
+    case 'color':
+      return typeof val === 'string' && /^#[0-9a-f]{3}([0-9a-f]{3})?$/i.test(val)
+        ? null
+        : 'expected a hex colour';
+    case 'option':
+      return spec.options.includes(val)
+        ? null
+        : `expected one of ${spec.options.map((o) => `'${o}'`).join(', ')}`;
+    default:
+      if (!Number.isFinite(val) || (spec.type === 'integer' && !Number.isInteger(val))) {
+        return `expected a${spec.type === 'integer' ? 'n integer' : ' number'}`;
+      }
+      if (val < spec.min || val > spec.max) return `expected ${spec.min}–${spec.max}`;
+      return null;
+  }
+};
+
+/**
+ * Values of the schema's defaults, by group.
+ *
+ * @param {Object.<string, Object.<string, paramSpec>>} [schema=PARAM_SCHEMA] The schema.
+ * @returns {Object.<string, Object>} The values.
+ */
+export const schemaDefaults = (schema = PARAM_SCHEMA) => Object.fromEntries(
+  Object.entries(schema).map(([group, specs]) => [
+    group,
+    Object.fromEntries(Object.entries(specs).map(([key, spec]) => [key, spec.default])),
+  ]),
+);
+
+/**
+ * Validate a set of parameters, e.g. an imported preset, reporting
+ * every problem at once. Groups _and_ parameters left out are fine.
+ *
+ * @param {*} params The parameters, by group.
+ * @param {Object.<string, Object.<string, paramSpec>>} [schema=PARAM_SCHEMA] The schema.
+ * @returns {Object.<string, Object>} The parameters.
+ * @throws {ParamsError} If any of them is unknown _or_ malformed.
+ *
+ * @example
+ * validateParams({ flowmap: { falloff: 0.2 }, physics: { ease: 0.3 } });
+ */
+export const validateParams = (params, schema = PARAM_SCHEMA) => {
+  if (!isObject(params)) throw new ParamsError(['expected an object']);
+
+  const problems = [];
+  Object.entries(params).forEach(([group, values]) => {
+    if (!(group in schema)) {
+      problems.push(`${group}: unknown group`);
+    } else if (!isObject(values)) {
+      problems.push(`${group}: expected an object`);
+    } else {
+      Object.entries(values).forEach(([key, val]) => {
+        const problem = key in schema[group]
+          ? checkParam(schema[group][key], val)
+          : 'unknown parameter';
+        if (problem) problems.push(`${group}.${key}: ${problem}`);
+      });
+    }
+  });
+
+  if (problems.length) throw new ParamsError(problems);
+
+  return params;
+};
@@ -0,0 +1,234 @@
+import { createPointer, movePointer } from './pointer.js';
+
+/**
+ * Version of the {@link pointerRecording|recording} format.
+ * @const @default
+ */
+export const RECORDING_VERSION = 1;
+
+/**
+ * @typedef {Object} pointerRecording
+ * The pointer input, as {@link InputRecorder#stop|recorded}.
+ * Plain data, to be saved as JSON.
+ *
+ * @prop {number} version Version of the format.
+ * @prop {number} width Width of the surface while recording, in CSS pixels.
+ * @prop {number} height Height of the surface while recording, in CSS pixels.
+ * @prop {number} duration Length of the recording, in ms.
+ * @prop {Object[]} events The moves _and_ ends of the pointers, in order:
+ * `t` in ms from the start, pointer `id`, `type` (`'move'` _or_ `'end'`),
+ * and the `x` _and_ `y` of the moves in 0–1 range from the top left corner.
+ */
+
+/**
+ * @typedef {Object} replayProps
+ * The object includes a set of options for {@link InputReplay|a replay}.
+ *
+ * @prop {number} [speed=1] Playback rate, `2` being twice as fast.
+ * @prop {boolean} [loop=false] Whether the replay starts over once it ends.
+ * @prop {boolean} [blend=true] Whether the live input is stamped along w/
+ * the replayed one, rather than ignored while replaying.
+ */
+
+/**
+ * Default {@link replayProps|replay options}.
+ * @const @default
+ */
+export const REPLAY_DEFAULTS = {
+  speed: 1,
+  loop: false,
+  blend: true,
+};
+
+/**
+ * Record the pointer moves as they are tracked.
+ * @class
+ *
+ * @example
+ * const recorder = new InputRecorder().start(800, 600);
+ * recorder.record('mouse', 'move', 400, 300, performance.now());
+ * localStorage.setItem('hero', JSON.stringify(recorder.stop()));
+ */
+export class InputRecorder {
+  constructor() {
+    this.isRecording = false;
+    this.events = [];
+  }
+
+  /**
+   * Start recording anew.
+   *
+   * @param {number} width Width of the surface, in CSS pixels.
+   * @param {number} height Height of the surface, in CSS pixels.
+   * @param {number} [time=performance.now()] Start time, in ms.
+   * @returns {InputRecorder} The instance.
+   */
+  start(width, height, time = performance.now()) {
+    this.isRecording = true;
+    this.startTime = time;
+    this.width = width;
+    this.height = height;
+    this.events = [];
+
+    return this;
+  }
+
+  /**
+   * Record a pointer's move _or_ end.
+   *
+   * @param {(string|number)} id Pointer identifier.
+   * @param {string} type `'move'` _or_ `'end'`.
+   * @param {number} x Horizontal position, in CSS pixels from the left of the surface.
+   * @param {number} y Vertical position, in CSS pixels from the top of the surface.
+   * @param {number} time Time of the move, in ms, as passed to `movePointer`.
+   */
+  record(id, type, x, y, time) {
+    if (!this.isRecording) return;
+
+    const event = { t: time - this.startTime, id, type };
+    if (type === 'move') {
+      event.x = x / this.width;
+      event.y = y / this.height;
+    }
+    this.events.push(event);
+  }
+
+  /**
+   * Stop recording.
+   *
+   * @param {number} [time=performance.now()] Stop time, in ms.
+   * @returns {pointerRecording} The recording.
+   */
+  stop(time = performance.now()) {
+    this.isRecording = false;
+
+    return {
+      version: RECORDING_VERSION,
+      width: this.width,
+      height: this.height,
+      duration: time - this.startTime,
+      events: this.events,
+    };
+  }
+}
+
+/**
+ * Play the recorded pointer input back into the pointers, by the frame time.
+ * @class
+ * @classdesc The moves are applied w/ their recorded timestamps,
+ * scaled by the speed, _and_ at the recorded size of the surface,
+ * so the velocity comes out the same as when recorded. Driven
+ * on a fixed timestep, the replay renders the same frames every time.
+ * The replayed pointers are keyed `'replay:<id>'`.
+ *
+ * @param {(pointerRecording|string)} recording The recording _or_ its JSON.
+ * @param {replayProps} [options={}] A set of replay options.
+ * @throws {TypeError} If the recording _or_ its JSON is malformed.
+ *
+ * @example
+ * const replay = new InputReplay(json, { speed: 0.5, loop: true });
+ * // …every frame, before the pointers are stamped
+ * replay.update(t, pointers);
+ */
+export class InputReplay {
+  constructor(recording, options = {}) {
+    if (typeof recording === 'string') {
+      try {
+        recording = JSON.parse(recording);
+      } catch (cause) {
+        throw new TypeError('Invalid pointer recording', { cause });
+      }
+    }
+
+    const { version, width, height, duration, events } = recording || {};
+    if (version !== RECORDING_VERSION
+      || !(width > 0 && height > 0 && duration >= 0)
+      || !Array.isArray(events)) {
+      throw new TypeError('Invalid pointer recording');
+    }
+
+    this.recording = recording;
+    this.options = { ...REPLAY_DEFAULTS, ...options };
+    this.isPlaying = true;
+    this.startTime = undefined;
+    this.cursor = 0;
+    this.ids = new Set();
+
+    /**
+     * Resolves once the replay ends _or_ is stopped.
+     * @type {Promise}
+     */
+    this.finished = new Promise((resolve) => (this.resolve = resolve));
+  }
+
+  /**
+   * Apply the events due by the time. Called once per frame.
+   *
+   * @param {number} time Current time, in ms.
+   * @param {Map.<(string|number), Object>} pointers Pointers by their id.
+   * @param {physicsProps} [physics] Physics options of the pointers.
+   */
+  update(time, pointers, physics) {
+    if (!this.isPlaying) return;
+    if (this.startTime === undefined) this.startTime = time;
+
+    const { width, height, duration, events } = this.recording;
+    const { speed, loop } = this.options;
+    // Position in the recording
+    const elapsed = (time - this.startTime) * speed;
+
+    while (this.cursor < events.length && events[this.cursor].t <= elapsed) {
+      const { t, id, type, x, y } = events[this.cursor++];
+      const key = `replay:${id}`;
+
+      if (type === 'end') {
+        // Dropped like a live one, by `stampPointers()`
+        const pointer = pointers.get(key);
+        if (pointer) pointer.isEnded = true;
+        this.ids.delete(key);
+        continue;
+      }
+
+      let pointer = pointers.get(key);
+      if (!pointer || pointer.isEnded) {
+        pointer = createPointer();
+        pointers.set(key, pointer);
+        this.ids.add(key);
+      }
+      movePointer(pointer, x * width, y * height, width, height, this.startTime + t / speed, physics);
+    }
+
+    if (elapsed < duration) return;
+
+    // Lift the pointers, so the next round doesn't jump from the end
+    this.clear(pointers);
+
+    if (loop && duration > 0) {
+      this.startTime += duration / speed;
+      this.cursor = 0;
+    } else {
+      this.stop(pointers);
+    }
+  }
+
+  /**
+   * Stop the replay, lifting the replayed pointers.
+   * @param {Map.<(string|number), Object>} [pointers] Pointers by their id.
+   */
+  stop(pointers) {
+    if (pointers) this.clear(pointers);
+    if (!this.isPlaying) return;
+
+    this.isPlaying = false;
+    this.resolve();
+  }
+
+  /**
+   * Remove the replayed pointers.
+   * @param {Map.<(string|number), Object>} pointers Pointers by their id.
+   */
+  clear(pointers) {
+    this.ids.forEach((key) => pointers.delete(key));
+    this.ids.clear();
+  }
+}
@@ -0,0 +1,226 @@
+import { Vec2 } from 'https://cdn.skypack.dev/ogl';
+
+/**
+ * @typedef {Object} physicsProps
+ * The object includes a set of options for the velocity model of the pointers.
+ *
+ * @prop {number} [minDelta=10.4] Shortest time between two moves, in ms,
+ * so moves in quick succession don't turn into a spike of velocity.
+ * @prop {number} [ease=0.15] How fast the stamped velocity follows
+ * the pointer's one while it moves, `1` being at once.
+ * @prop {number} [easeOut=0.1] How fast the stamped velocity fades out
+ * once the pointer stops.
+ * @prop {number} [dissipation=0.98] How much of the flow is left
+ * after each frame, as the default of the flowmap.
+ * @prop {boolean} [pressure=true] Whether the pressure of a pen
+ * scales the opacity of its stamp.
+ * @prop {number} [contactSize=40] Contact size of a finger, in CSS pixels,
+ * that stamps at the falloff as it is; larger contacts stamp wider,
+ * smaller ones narrower. `0` turns the scaling off.
+ */
+
+/**
+ * Default {@link physicsProps|physics options}.
+ * @const @default
+ */
+export const PHYSICS_DEFAULTS = {
+  minDelta: 10.4,
+  ease: 0.15,
+  easeOut: 0.1,
+  dissipation: 0.98,
+  pressure: true,
+  contactSize: 40,
+};
+
+/**
+ * Named sets of {@link physicsProps|physics options},
+ * applied over the defaults.
+ * @const @default
+ */
+export const PHYSICS_PROFILES = {
+  // Slow to pick up, long to settle
+  viscous: {
+    ease: 0.05,
+    easeOut: 0.03,
+    dissipation: 0.99,
+  },
+  // Follows the pointer closely, settles at once
+  snappy: {
+    minDelta: 8,
+    ease: 0.4,
+    easeOut: 0.3,
+    dissipation: 0.92,
+  },
+};
+
+/**
+ * Resolve the physics options over the profile, if any, _and_ the defaults.
+ *
+ * @param {(string|physicsProps)} [options={}] Name of a profile _or_
+ * a set of options, optionally w/ the `profile` they're applied over.
+ * @returns {physicsProps} The physics options.
+ * @throws {TypeError} If the profile is unknown.
+ */
+export const resolvePhysics = (options = {}) => {
+  if (typeof options === 'string') options = { profile: options };
+
+  const { profile, ...params } = options;
+  if (profile !== undefined && !(profile in PHYSICS_PROFILES)) {
+    throw new TypeError(`Unknown physics profile: ${profile}`);
+  }
+
+  return {
+    ...PHYSICS_DEFAULTS,
+    ...PHYSICS_PROFILES[profile],
+    ...params,
+  };
+};
+
+/**
+ * Create the state of a tracked pointer (the mouse _or_ a single touch).
+ * @returns {Object.<string, (Vec2|number)>} Pointer state.
+ */
+export const createPointer = () => ({
+  // Position in 0–1 range, w/ y flipped
+  mouse: new Vec2(-1),
+  // Raw velocity of the latest move
+  velocity: new Vec2(),
+  // Eased velocity that goes into the flowmap
+  flowVelocity: new Vec2(),
+  lastMouse: new Vec2(),
+  lastTime: undefined,
+  // Scale of the stamp's falloff (x) and alpha (y)
+  scale: new Vec2(1),
+  // Lifted, dropped once its last move is stamped
+  isEnded: false,
+});
+
+/**
+ * Make room for a new pointer under the limit: a lifted pointer of the same id,
+ * _or_ any lifted one once the limit is reached, is dropped before its last move is stamped.
+ *
+ * @param {Map.<(string|number), Object>} pointers Pointers by their id.
+ * @param {(string|number)} id Identifier of the new pointer.
+ * @param {number} max Highest number of pointers.
+ * @returns {boolean} Whether there's room for it.
+ */
+export const makeRoom = (pointers, id, max) => {
+  if (pointers.get(id)?.isEnded) pointers.delete(id);
+  if (pointers.size < max) return true;
+
+  const [ended] = [...pointers].find(([, pointer]) => pointer.isEnded) || [];
+  return ended !== undefined && pointers.delete(ended);
+};
+
+/**
+ * Update position and velocity of a single pointer.
+ *
+ * @param {Object} pointer State of the pointer, as {@link createPointer} returns.
+ * @param {number} x Horizontal position, in CSS pixels from the left of the surface.
+ * @param {number} y Vertical position, in CSS pixels from the top of the surface.
+ * @param {number} width Width of the surface, in CSS pixels.
+ * @param {number} height Height of the surface, in CSS pixels.
+ * @param {number} [time=performance.now()] Time of the move, in ms.
+ * Replayed moves pass the recorded one, for the same velocity.
+ * @param {physicsProps} [physics=PHYSICS_DEFAULTS] Physics options.
+ */
+export const movePointer = (
+  pointer,
+  x,
+  y,
+  width,
+  height,
+  time = performance.now(),
+  physics = PHYSICS_DEFAULTS,
+) => {
+  const { mouse, velocity, lastMouse } = pointer;
+  // Get mouse value in 0–1 range, w/ y flipped
+  mouse.set(x / width, 1.0 - y / height);
+  // Calculate velocity
+  if (pointer.lastTime === undefined) {
+    // First frame
+    pointer.lastTime = time;
+    lastMouse.set(x, y);
+  }
+
+  const deltaX = x - lastMouse.x;
+  const deltaY = y - lastMouse.y;
+
+  lastMouse.set(x, y);
+
+  // Avoid dividing by 0
+  let delta = Math.max(physics.minDelta, time - pointer.lastTime);
+  pointer.lastTime = time;
+  velocity.x = deltaX / delta;
+  velocity.y = deltaY / delta;
+  // Flag update to prevent hanging velocity values when not moving
+  velocity.needsUpdate = true;
+};
+
+/**
+ * Ease the velocity of every pointer and stamp them into the flowmap.
+ * Called once per frame, before the flowmap updates. A lifted pointer
+ * is dropped once its last move is stamped, the flow it left then dissipates
+ * like the one of a still pointer.
+ *
+ * @param {Map.<(string|number), Object>} pointers Pointers by their id.
+ * @param {MultiFlowmap} flowmap The flowmap to stamp into.
+ * @param {physicsProps} [physics=PHYSICS_DEFAULTS] Physics options.
+ */
+export const stampPointers = (pointers, flowmap, physics = PHYSICS_DEFAULTS) => {
+  let count = 0;
+
+  pointers.forEach(({
+    mouse,
+    velocity,
+    flowVelocity,
+    scale,
+    isEnded,
+  }, id) => {
+    if (isEnded && !velocity.needsUpdate) {
+      pointers.delete(id);
+      return;
+    }
+    if (!velocity.needsUpdate) {
+      // Reset velocity when pointer not moving
+      mouse.set(-1);
+      velocity.set(0);
+    }
+
+    velocity.needsUpdate = false;
+    // Ease velocity input, slower when fading out
+    flowVelocity.lerp(velocity, velocity.len() ? physics.ease : physics.easeOut);
+
+    if (count >= flowmap.maxPointers) return;
+    // Update flowmap inputs
+    const stamp = flowmap.stamps[count++];
+    stamp.mouse.copy(mouse);
+    stamp.velocity.copy(flowVelocity);
+    stamp.scale.copy(scale);
+  });
+
+  flowmap.count = count;
+};
+
+/**
+ * Scale the stamp of the pointer by the pressure of a pen _and_ the contact
+ * size of a finger. The mouse, _or_ pens and fingers w/o the data,
+ * stamp as they are.
+ *
+ * @param {Object} pointer State of the pointer, as {@link createPointer} returns.
+ * @param {PointerEvent} e The event of the move.
+ * @param {physicsProps} [physics=PHYSICS_DEFAULTS] Physics options.
+ */
+export const pressPointer = (pointer, e, physics = PHYSICS_DEFAULTS) => {
+  const { pressure, contactSize } = physics;
+  let falloff = 1;
+  let alpha = 1;
+
+  // A hovering pen has no pressure, so it leaves no stamp
+  if (pressure && e.pointerType === 'pen') alpha = e.pressure;
+  if (contactSize > 0 && e.pointerType === 'touch' && e.width > 1) {
+    falloff = Math.min(2, Math.max(0.5, Math.max(e.width, e.height) / contactSize));
+  }
+
+  pointer.scale.set(falloff, alpha);
+};
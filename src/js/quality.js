@@ -0,0 +1,156 @@
+/**
+ * @typedef {Object} qualityProps
+ * The object includes a set of options for {@link QualityGovernor|the governor}.
+ *
+ * @prop {number} [minDpr=1] Lowest device pixel ratio of the renderer.
+ * @prop {number} [maxDpr=2] Highest device pixel ratio of the renderer.
+ * @prop {number} [minFlowmapSize=64] Lowest size of the flowmap render targets.
+ * @prop {number} [maxFlowmapSize=128] Highest size of the flowmap render targets.
+ * @prop {number} [levels=4] Number of quality levels between the bounds.
+ * @prop {number} [lowFps=45] Frame rate below which the quality steps down.
+ * @prop {number} [highFps=55] Frame rate at _or_ above which the quality
+ * may step up again.
+ * @prop {number} [sampleTime=1000] Time the frame rate is averaged over, in ms.
+ * @prop {number} [upgradeSamples=3] Number of samples in a row at the high
+ * frame rate before stepping up, so the quality doesn't flip back and forth.
+ */
+
+/**
+ * Default {@link qualityProps|quality options}.
+ * @const @default
+ */
+export const QUALITY_DEFAULTS = {
+  minDpr: 1,
+  maxDpr: 2,
+  minFlowmapSize: 64,
+  maxFlowmapSize: 128,
+  levels: 4,
+  lowFps: 45,
+  highFps: 55,
+  sampleTime: 1000,
+  upgradeSamples: 3,
+};
+
+// Frames longer than this are hiccups (a blocked main thread, a tab switch),
+// not the cost of rendering, so they're left out of the average
+const MAX_FRAME_TIME = 250;
+
+/**
+ * Measure the frame time _and_ step the rendering quality
+ * up _or_ down to hold the frame rate.
+ * @class
+ * @classdesc The quality levels run from the lowest (`0`) to the highest,
+ * each w/ a device pixel ratio _and_ a flowmap size interpolated
+ * between the bounds. The governor starts at the highest one, steps down
+ * as soon as a sample falls below `lowFps`, and steps back up only after
+ * `upgradeSamples` samples in a row at `highFps`.
+ *
+ * @param {qualityProps} [options={}] A set of quality options.
+ *
+ * @example
+ * const governor = new QualityGovernor({ maxDpr: devicePixelRatio });
+ * // …every frame
+ * if (governor.sample(t)) {
+ *   renderer.dpr = governor.current.dpr;
+ *   flowmap.setSize(governor.current.flowmapSize);
+ * }
+ */
+export class QualityGovernor {
+  constructor(options = {}) {
+    this.options = { ...QUALITY_DEFAULTS, ...options };
+
+    const {
+      minDpr,
+      maxDpr,
+      minFlowmapSize,
+      maxFlowmapSize,
+      levels,
+    } = this.options;
+    const count = Math.max(1, Math.floor(levels));
+    const lerp = (min, max, i) => (count > 1 ? min + (max - min) * i / (count - 1) : max);
+
+    /**
+     * The quality levels, from the lowest to the highest.
+     * @type {Object[]}
+     */
+    this.levels = Array.from({ length: count }, (_, i) => ({
+      dpr: lerp(Math.min(minDpr, maxDpr), maxDpr, i),
+      // Keep the render targets a multiple of 16 texels
+      flowmapSize: Math.round(lerp(Math.min(minFlowmapSize, maxFlowmapSize), maxFlowmapSize, i) / 16) * 16,
+    }));
+    this.level = count - 1;
+
+    /**
+     * Frame rate of the latest sample, `0` until the first one is taken.
+     * @type {number}
+     */
+    this.fps = 0;
+    this.reset();
+  }
+
+  /**
+   * The current quality level, w/ its `dpr` _and_ `flowmapSize`.
+   * @type {Object}
+   */
+  get current() {
+    return this.levels[this.level];
+  }
+
+  /**
+   * Start measuring anew, e.g. after the render loop was stopped.
+   */
+  reset() {
+    this.lastTime = undefined;
+    this.frames = 0;
+    this.elapsed = 0;
+    this.goodSamples = 0;
+  }
+
+  /**
+   * Measure the frame. Called once per frame of the render loop.
+   *
+   * @param {number} time Time of the frame, in ms.
+   * @returns {boolean} Whether the quality level changed.
+   */
+  sample(time) {
+    const delta = this.lastTime === undefined ? 0 : time - this.lastTime;
+    this.lastTime = time;
+    if (delta <= 0 || delta > MAX_FRAME_TIME) return false;
+
+    this.frames++;
+    this.elapsed += delta;
+    if (this.elapsed < this.options.sampleTime) return false;
+
+    const { lowFps, highFps, upgradeSamples } = this.options;
+    this.fps = this.frames * 1000 / this.elapsed;
+    this.frames = this.elapsed = 0;
+
+    if (this.fps < lowFps) {
+      this.goodSamples = 0;
+      return this.setLevel(this.level - 1);
+    }
+
+    this.goodSamples = this.fps >= highFps ? this.goodSamples + 1 : 0;
+    if (this.goodSamples < upgradeSamples) return false;
+
+    this.goodSamples = 0;
+    return this.setLevel(this.level + 1);
+  }
+
+  /**
+   * Switch to a quality level, within the bounds.
+   *
+   * @param {number} level Index of the level, `0` being the lowest.
+   * @returns {boolean} Whether the quality level changed.
+   */
+  setLevel(level) {
+    level = Math.min(this.levels.length - 1, Math.max(0, Math.round(level)));
+    if (level === this.level) return false;
+
+    this.level = level;
+    // The first frames at the new level pay for its setup, don't count them
+    this.reset();
+
+    return true;
+  }
+}
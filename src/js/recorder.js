@@ -0,0 +1,257 @@
+/**
+ * @typedef {Object} recordingProps
+ * The object includes a set of options for {@link Recorder#start|a recording}.
+ *
+ * @prop {number} [fps=60] Frame rate of the recording.
+ * @prop {string} [format='webm'] `'webm'` to record the canvas in real time
+ * through `MediaRecorder`, _or_ `'png'` to render a frame-exact PNG sequence,
+ * zipped, on a fixed timestep.
+ * @prop {number} [duration=Infinity] Length of the recording, in ms,
+ * after which it stops capturing by itself.
+ * @prop {string} [mimeType] Type of the WebM recording, picked
+ * from the supported ones by default.
+ * @prop {number} [bitsPerSecond] Bitrate of the WebM recording.
+ */
+
+/**
+ * Default {@link recordingProps|recording options}.
+ * @const @default
+ */
+export const RECORDING_DEFAULTS = {
+  fps: 60,
+  format: 'webm',
+  duration: Infinity,
+  mimeType: undefined,
+  bitsPerSecond: undefined,
+};
+
+/**
+ * Types of the WebM recording, in the order of preference.
+ * @const @default
+ */
+const WEBM_TYPES = [
+  'video/webm;codecs=vp9',
+  'video/webm;codecs=vp8',
+  'video/webm',
+];
+
+/**
+ * Table of the CRC-32 checksums of every byte, as ZIP uses it.
+ * @type {Uint32Array}
+ */
+const CRC_TABLE = Uint32Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Pack the files into a ZIP archive, stored w/o compression
+ * as PNGs are compressed already.
+ *
+ * @async
+ * @param {{ name: string, blob: Blob }[]} files The files.
+ * @returns {Promise.<Blob>} The archive.
+ */
+const zip = async (files) => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+
+  for (const { name, blob } of files) {
+    const data = new Uint8Array(await blob.arrayBuffer());
+    const fileName = encoder.encode(name);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true); // Local file header signature
+    local.setUint16(4, 20, true); // Version needed to extract
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true); // Compressed size
+    local.setUint32(22, data.length, true); // Uncompressed size
+    local.setUint16(26, fileName.length, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true); // Central directory header signature
+    central.setUint16(4, 20, true); // Version made by
+    central.setUint16(6, 20, true); // Version needed to extract
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, fileName.length, true);
+    central.setUint32(42, offset, true); // Offset of the local header
+
+    parts.push(local, fileName, data);
+    directory.push(central, fileName);
+    offset += 30 + fileName.length + data.length;
+  }
+
+  const size = directory.reduce((sum, part) => sum + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true); // End of central directory signature
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, size, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+};
+
+/**
+ * Take a snapshot of the canvas as a PNG.
+ * @param {HTMLCanvasElement} canvas The canvas.
+ * @returns {Promise.<Blob>} The PNG.
+ */
+const toBlob = (canvas) => new Promise((resolve, reject) => {
+  canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Failed to capture the frame'))), 'image/png');
+});
+
+/**
+ * Record the canvas of the effect, either as a WebM video in real time
+ * _or_ as a frame-exact PNG sequence.
+ * @class
+ * @classdesc The PNG sequence is rendered by driving
+ * {@link FlowmapEffect#update|the updates} on a fixed timestep,
+ * w/ the render loop stopped, so no frame is dropped however slow
+ * the capture is. Each frame is read back in the same task it's rendered in,
+ * so the renderer doesn't need to preserve its drawing buffer.
+ *
+ * @param {FlowmapEffect} effect The mounted effect.
+ *
+ * @example
+ * const recorder = new Recorder(effect);
+ * recorder.start({ format: 'png', fps: 30, duration: 2000 });
+ * const zipped = await recorder.stop();
+ */
+export class Recorder {
+  constructor(effect) {
+    this.effect = effect;
+    this.isRecording = false;
+    this.mediaRecorder = null;
+    this.result = null;
+  }
+
+  /**
+   * Start recording.
+   *
+   * @param {recordingProps} [options={}] A set of recording options.
+   * @returns {Recorder} The instance.
+   * @throws {TypeError} If the format is unknown.
+   * @throws {Error} If WebM can't be recorded in this browser.
+   */
+  start(options = {}) {
+    if (this.isRecording) throw new Error('The recording is in progress already');
+
+    this.options = { ...RECORDING_DEFAULTS, ...options };
+    const { format } = this.options;
+
+    if (format !== 'webm' && format !== 'png') {
+      throw new TypeError(`Unknown recording format: ${format}`);
+    }
+
+    this.isRecording = true;
+    try {
+      this.result = format === 'webm' ? this.record() : this.capture();
+    } catch (e) {
+      this.isRecording = false;
+      throw e;
+    }
+
+    return this;
+  }
+
+  /**
+   * Stop recording.
+   * @returns {Promise.<Blob>} The WebM video _or_ the zipped PNG sequence.
+   */
+  stop() {
+    if (!this.result) return Promise.reject(new Error('Nothing is being recorded'));
+
+    this.isRecording = false;
+    if (this.mediaRecorder?.state === 'recording') this.mediaRecorder.stop();
+
+    return this.result;
+  }
+
+  /**
+   * Record the canvas in real time, as it's rendered by the render loop.
+   * @returns {Promise.<Blob>} The video, once the recording stops.
+   */
+  record() {
+    const { fps, duration, bitsPerSecond } = this.options;
+
+    if (typeof MediaRecorder === 'undefined') {
+      throw new Error('MediaRecorder is not supported in this browser');
+    }
+
+    const mimeType = this.options.mimeType
+      || WEBM_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+    const stream = this.effect.gl.canvas.captureStream(fps);
+    const chunks = [];
+
+    const mediaRecorder = this.mediaRecorder = new MediaRecorder(stream, {
+      mimeType,
+      videoBitsPerSecond: bitsPerSecond,
+    });
+    mediaRecorder.ondataavailable = (e) => e.data.size && chunks.push(e.data);
+
+    const result = new Promise((resolve, reject) => {
+      mediaRecorder.onstop = () => {
+        stream.getTracks().forEach((track) => track.stop());
+        resolve(new Blob(chunks, { type: mediaRecorder.mimeType || 'video/webm' }));
+      };
+      mediaRecorder.onerror = (e) => reject(e.error);
+    });
+
+    mediaRecorder.start();
+    if (Number.isFinite(duration)) {
+      setTimeout(() => this.isRecording && this.stop(), duration);
+    }
+
+    return result;
+  }
+
+  /**
+   * Render _and_ capture the frames one by one, until stopped.
+   * @async
+   * @returns {Promise.<Blob>} The zipped PNG sequence.
+   */
+  async capture() {
+    const { effect } = this;
+    const { fps, duration } = this.options;
+    const step = 1000 / fps;
+    const limit = Number.isFinite(duration) ? Math.ceil(duration / step) : Infinity;
+    const frames = [];
+    let time = performance.now();
+
+    // The loop stops, the pause button _and_ its state are left to the user
+    effect.isDriven = true;
+    effect.updateLoop();
+
+    try {
+      while (this.isRecording && effect.isMounted && frames.length < limit) {
+        effect.update(time);
+        frames.push({
+          name: `frame-${String(frames.length).padStart(5, '0')}.png`,
+          blob: await toBlob(effect.gl.canvas),
+        });
+        time += step;
+      }
+    } finally {
+      this.isRecording = false;
+      effect.isDriven = false;
+      if (effect.isMounted) effect.updateLoop();
+    }
+
+    return zip(frames);
+  }
+}
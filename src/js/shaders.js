@@ -0,0 +1,56 @@
+import { fitChunk } from './fit.js';
+import { distortionChunk } from './distortion.js';
+import { transitionChunk } from './transitions.js';
+
+// Shaders of the effect, shared by the `FlowmapEffect`
+// _and_ the `<flowmap-image>` elements, so neither imports the other
+
+export const vertex = /* glsl */ `
+  attribute vec2 uv;
+  attribute vec2 position;
+
+  varying vec2 vUv;
+
+  void main() {
+    vUv = uv;
+    gl_Position = vec4(position, 0, 1);
+  }
+`;
+export const fragment = /* glsl */ `
+  precision highp float;
+  precision highp int;
+
+  uniform sampler2D tWater;
+  uniform sampler2D tWaterFrom;
+  uniform sampler2D tFlow;
+  uniform float uTime;
+
+  // Fit of the incoming and outgoing textures
+  uniform vec4 uFitTo;
+  uniform vec4 uFitFrom;
+  // Whether the textures are contained, for x → from, y → to
+  uniform vec2 uMasked;
+
+  varying vec2 vUv;
+
+  ${fitChunk}
+  ${distortionChunk}
+  ${transitionChunk}
+
+  void main() {
+    // R and G values are velocity in the x and y direction
+    // B value is the velocity length
+    vec3 flow = texture2D(tFlow, vUv).rgb;
+
+    // Use flow to adjust the uv lookup of a texture
+    vec2 uv = distort(vUv, flow);
+    // Each texture is fitted by its own size
+    vec3 from = sampleSplit(tWaterFrom, uv, uFitFrom, uMasked.x, flow);
+    vec3 to = sampleSplit(tWater, uv, uFitTo, uMasked.y, flow);
+    // Mix the outgoing and incoming textures
+    vec3 tex = shade(mix(from, to, transitionAmount(uv, flow)), flow);
+
+    gl_FragColor = vec4(tex.r, tex.g, tex.b, 1.0);
+  }
+`;
+
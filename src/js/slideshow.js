@@ -0,0 +1,191 @@
+/**
+ * Keys bound to the {@link Slideshow} navigation methods.
+ * @readonly
+ * @enum {string}
+ */
+export const SLIDESHOW_KEYS = {
+  ArrowLeft: 'prev',
+  ArrowRight: 'next',
+};
+
+/**
+ * @typedef {Object} slideshowProps
+ * The object includes a set of options for the {@link Slideshow}.
+ *
+ * @prop {number} length Number of slides.
+ * @prop {boolean} [isLooped=true] Indicates whether the navigation wraps around
+ * at both ends of the queue.
+ * @prop {boolean} [autoplay=false] Start advancing automatically.
+ * @prop {number} [interval=5000] Time each slide stays on screen in autoplay, in ms.
+ * @prop {number} [resumeDelay=interval] Time w/o interaction
+ * after which the autoplay goes on, in ms.
+ * @prop {boolean} [keyboard=true] Navigate w/ the {@link SLIDESHOW_KEYS|arrow keys},
+ * anywhere on the page.
+ */
+
+/**
+ * Default {@link slideshowProps|slideshow options}.
+ * @const @default
+ */
+export const SLIDESHOW_DEFAULTS = {
+  length: 0,
+  isLooped: true,
+  autoplay: false,
+  interval: 5000,
+  resumeDelay: undefined,
+  keyboard: true,
+};
+
+/**
+ * Keep track of the current slide and navigate between slides.
+ * @class
+ * @classdesc Fires an `indexchange` event, w/ `index`, `previousIndex`
+ * _and_ `isAutoplay` in its `detail`, whenever the current index changes.
+ *
+ * @param {function(number, Object): Promise} show Callback that displays
+ * the slide by its index, w/ optional transition options.
+ * @param {slideshowProps} options A set of slideshow options.
+ *
+ * @example
+ * const slideshow = new Slideshow((idx) => effect.switchTextures(idx), {
+ *   length: 4,
+ *   autoplay: true,
+ * });
+ * slideshow.addEventListener('indexchange', (e) => console.log(e.detail.index));
+ * slideshow.goTo(0);
+ */
+export class Slideshow extends EventTarget {
+  constructor(show, options = {}) {
+    super();
+
+    this.show = show;
+    this.options = { ...SLIDESHOW_DEFAULTS, ...options };
+
+    // Nothing is shown until the first navigation
+    this.index = -1;
+    this.isPlaying = false;
+    // Set while the autoplay advances, for the `indexchange` event
+    this.isAdvancing = false;
+    this.timer = null;
+    // Time of the latest interaction, the autoplay holds on until `resumeDelay` after it
+    this.interactedAt = -Infinity;
+  }
+
+  get length() {
+    return this.options.length;
+  }
+
+  get hasNext() {
+    return this.options.isLooped || this.index < this.length - 1;
+  }
+
+  get hasPrev() {
+    return this.options.isLooped || this.index > 0;
+  }
+
+  /**
+   * @param {Object} [transition] Options of the transition to the slide.
+   * @returns {Promise} Resolves when the slide is shown,
+   * _or_ w/ `null` at the end of a non-looped queue.
+   */
+  next(transition) {
+    if (!this.hasNext) return Promise.resolve(null);
+    return this.goTo(this.index + 1, transition);
+  }
+
+  /**
+   * @param {Object} [transition] Options of the transition to the slide.
+   * @returns {Promise} Resolves when the slide is shown,
+   * _or_ w/ `null` at the start of a non-looped queue.
+   */
+  prev(transition) {
+    if (!this.hasPrev) return Promise.resolve(null);
+    return this.goTo(this.index - 1, transition);
+  }
+
+  /**
+   * Show the slide by its index.
+   * In a looped queue the index wraps around, otherwise it's clamped.
+   *
+   * @param {number} index Index of the slide.
+   * @param {Object} [transition] Options of the transition to the slide.
+   * @returns {Promise} Resolves when the slide is shown.
+   */
+  goTo(index, transition) {
+    const { length } = this;
+    if (!length) return Promise.resolve(null);
+
+    index = this.options.isLooped
+      ? ((index % length) + length) % length
+      : Math.min(Math.max(index, 0), length - 1);
+
+    const previousIndex = this.index;
+    this.index = index;
+
+    if (index !== previousIndex) {
+      this.dispatchEvent(new CustomEvent('indexchange', {
+        detail: { index, previousIndex, isAutoplay: this.isAdvancing },
+      }));
+    }
+
+    // Give the new slide the whole interval
+    this.schedule();
+
+    return this.show(index, transition);
+  }
+
+  /**
+   * Start advancing automatically.
+   * @param {number} [interval] Overrides the interval from the options.
+   */
+  play(interval = this.options.interval) {
+    this.options.interval = interval;
+    this.isPlaying = true;
+    this.schedule();
+  }
+
+  /**
+   * Stop advancing automatically.
+   */
+  stop() {
+    this.isPlaying = false;
+    this.clearTimers();
+  }
+
+  /**
+   * Hold the autoplay while the user interacts,
+   * until nothing happened for the `resumeDelay`.
+   * Cheap enough to call at the pointer rate: the timer is left as it is,
+   * and checks the time of the latest interaction once it's due.
+   */
+  interact() {
+    if (this.isPlaying) this.interactedAt = performance.now();
+  }
+
+  /**
+   * (Re)schedule the next autoplay step.
+   * @param {number} [delay] Time to wait, in ms.
+   */
+  schedule(delay = this.options.interval) {
+    this.clearTimers();
+    if (!this.isPlaying) return;
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      // Held by an interaction since the timer was set
+      const { interval, resumeDelay = interval } = this.options;
+      const held = this.interactedAt + resumeDelay - performance.now();
+      if (held > 0) return this.schedule(held);
+      // Nowhere to go at the end of a non-looped queue
+      if (!this.hasNext) return this.stop();
+      this.isAdvancing = true;
+      this.next();
+      this.isAdvancing = false;
+    }, delay);
+  }
+
+  clearTimers() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
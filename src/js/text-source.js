@@ -0,0 +1,289 @@
+let doc = document;
+
+/**
+ * @typedef {Object} textProps
+ * The object includes a set of options for {@link TextSource|a text source}.
+ *
+ * @prop {string} [font='sans-serif'] Font family, as in CSS.
+ * @prop {number} [size=96] Font size, in CSS pixels.
+ * @prop {(number|string)} [weight=700] Font weight.
+ * @prop {string} [style='normal'] Font style, `'normal'` _or_ `'italic'`.
+ * @prop {number} [lineHeight=1.2] Line height, relative to the font size.
+ * @prop {string} [color='#fff'] Colour of the text, _and_ the `currentColor` of an SVG.
+ * @prop {string} [background='#000'] Colour behind the text.
+ * @prop {string} [align='center'] Alignment of the lines: `'left'`, `'center'` _or_ `'right'`.
+ * @prop {string} [direction='ltr'] Direction of the text, `'ltr'` _or_ `'rtl'`.
+ * @prop {number} [padding=32] Space kept around the text, in CSS pixels.
+ * The lines wrap at the width within it, an SVG is contained in it.
+ * A word wider than it scales the text down, so it fits.
+ */
+
+/**
+ * Default {@link textProps|text options}.
+ * @const @default
+ */
+export const TEXT_DEFAULTS = {
+  font: 'sans-serif',
+  size: 96,
+  weight: 700,
+  style: 'normal',
+  lineHeight: 1.2,
+  color: '#fff',
+  background: '#000',
+  align: 'center',
+  direction: 'ltr',
+  padding: 32,
+};
+
+/**
+ * Check if the content is SVG, as an element _or_ its markup.
+ * @param {*} content The content.
+ * @returns {boolean}
+ */
+export const isSVG = (content) => (typeof SVGSVGElement !== 'undefined' && content instanceof SVGSVGElement)
+  || (typeof content === 'string' && /^\s*(<\?xml[^>]*>\s*)?<svg[\s>]/i.test(content));
+
+/**
+ * Read the {@link textProps|text options} from the computed style of an element,
+ * so the rasterized text looks like the HTML one.
+ *
+ * @param {HTMLElement} el The element.
+ * @returns {textProps} The font, size, weight, style, line height, colour,
+ * alignment _and_ direction.
+ */
+export const readTextStyles = (el) => {
+  const {
+    fontFamily,
+    fontSize,
+    fontWeight,
+    fontStyle,
+    lineHeight,
+    color,
+    textAlign,
+    direction,
+  } = getComputedStyle(el);
+  const size = parseFloat(fontSize);
+  // The logical alignments depend on the direction
+  const [start, end] = direction === 'rtl' ? ['right', 'left'] : ['left', 'right'];
+
+  return {
+    font: fontFamily,
+    size,
+    weight: fontWeight,
+    style: fontStyle,
+    // `normal` is up to the font, close to the default
+    ...(lineHeight !== 'normal' && { lineHeight: parseFloat(lineHeight) / size }),
+    color,
+    align: { start, end, justify: start }[textAlign] || textAlign,
+    direction,
+  };
+};
+
+/**
+ * Break the text into the lines that fit the width, at the spaces
+ * _and_ the line breaks of the text.
+ *
+ * @param {CanvasRenderingContext2D} ctx The context, w/ the font set.
+ * @param {string} text The text.
+ * @param {number} width Width of the lines.
+ * @returns {string[]} The lines.
+ */
+const wrapLines = (ctx, text, width) => text.split('\n').flatMap((paragraph) => {
+  const lines = [];
+  let line = '';
+
+  paragraph.split(/\s+/).filter(Boolean).forEach((word) => {
+    const next = line ? `${line} ${word}` : word;
+    if (line && ctx.measureText(next).width > width) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = next;
+    }
+  });
+
+  return [...lines, line];
+});
+
+/**
+ * Rasterize text _or_ SVG into a canvas, to be used as a {@link MediaTexture|media source}.
+ * @class
+ * @classdesc The canvas matches the size of the effect's canvas at its pixel ratio,
+ * so the text stays sharp. It's redrawn on {@link TextSource#setSize|resize} _and_
+ * once the web fonts load, firing a `change` event each time.
+ *
+ * @param {(string|SVGSVGElement)} content The text, _or_ an SVG as an element _or_ its markup.
+ * @param {textProps} [options={}] A set of text options.
+ *
+ * @example
+ * const text = new TextSource('Fluid type', { font: 'Be Vietnam', size: 120 });
+ * text.setSize(innerWidth, innerHeight, devicePixelRatio);
+ * await text.ready;
+ * const media = new MediaTexture(gl, text.canvas, { live: false });
+ * text.addEventListener('change', () => media.invalidate());
+ */
+export class TextSource extends EventTarget {
+  constructor(content, options = {}) {
+    super();
+
+    this.options = { ...TEXT_DEFAULTS, ...options };
+    this.content = content;
+    this.isSVG = isSVG(content);
+    this.canvas = doc.createElement('canvas');
+    this.ctx = this.canvas.getContext('2d');
+    // Set by `setSize()`, to the size of the effect
+    this.width = 0;
+    this.height = 0;
+    this.dpr = 1;
+    this.image = null;
+
+    this.onFontsEv = () => this.draw();
+    doc.fonts?.addEventListener('loadingdone', this.onFontsEv);
+
+    /**
+     * Resolves once the fonts _or_ the SVG are in, w/ the first drawing done.
+     * @type {Promise.<TextSource>}
+     */
+    this.ready = (this.isSVG ? this.loadSVG() : this.loadFont())
+      .then(() => this.draw())
+      .then(() => this);
+  }
+
+  /**
+   * The font, in the CSS shorthand the canvas takes.
+   * @type {string}
+   */
+  get font() {
+    return this.fontAt(this.options.size);
+  }
+
+  /**
+   * The font at a size, in the CSS shorthand the canvas takes.
+   * @param {number} size Font size, in CSS pixels.
+   * @returns {string}
+   */
+  fontAt(size) {
+    const { style, weight, font } = this.options;
+    return `${style} ${weight} ${size * this.dpr}px ${font}`;
+  }
+
+  /**
+   * Load the web font of the text, if it's one. Fails silently,
+   * the text is drawn in the fallback font until it's in.
+   * @returns {Promise}
+   */
+  loadFont() {
+    if (!doc.fonts) return Promise.resolve();
+    return doc.fonts.load(this.font, this.content).catch(() => {});
+  }
+
+  /**
+   * Decode the SVG into an image, in the colour of the text.
+   * @returns {Promise} Rejects if the SVG is malformed.
+   */
+  async loadSVG() {
+    let svg = this.content;
+
+    if (typeof svg === 'string') {
+      svg = new DOMParser().parseFromString(svg, 'image/svg+xml').documentElement;
+    } else {
+      svg = svg.cloneNode(true);
+    }
+    svg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    // The `currentColor` of a standalone SVG isn't inherited from the page
+    svg.style.color = this.options.color;
+
+    const blob = new Blob([new XMLSerializer().serializeToString(svg)], { type: 'image/svg+xml' });
+    const url = URL.createObjectURL(blob);
+    const img = new Image();
+
+    try {
+      img.src = url;
+      await img.decode();
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+
+    this.image = img;
+  }
+
+  /**
+   * Match the canvas to the size of the effect, and redraw.
+   *
+   * @param {number} width Width, in CSS pixels.
+   * @param {number} height Height, in CSS pixels.
+   * @param {number} [dpr=1] Device pixel ratio.
+   */
+  setSize(width, height, dpr = 1) {
+    if (width === this.width && height === this.height && dpr === this.dpr) return;
+
+    this.width = width;
+    this.height = height;
+    this.dpr = dpr;
+    this.canvas.width = Math.max(1, Math.round(width * dpr));
+    this.canvas.height = Math.max(1, Math.round(height * dpr));
+    this.draw();
+  }
+
+  /**
+   * Rasterize the text _or_ the SVG into the canvas.
+   */
+  draw() {
+    const { ctx, canvas, dpr } = this;
+    const {
+      background,
+      color,
+      align,
+      direction,
+      lineHeight,
+    } = this.options;
+    let { size } = this.options;
+    const padding = this.options.padding * dpr;
+    const width = canvas.width - padding * 2;
+    const height = canvas.height - padding * 2;
+
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    if (this.isSVG) {
+      if (!this.image) return;
+
+      // Contained in the padding box, centred
+      const { width: w = 300, height: h = 150 } = this.image;
+      const scale = Math.min(width / (w || 300), height / (h || 150));
+      const [dw, dh] = [(w || 300) * scale, (h || 150) * scale];
+      ctx.drawImage(this.image, (canvas.width - dw) / 2, (canvas.height - dh) / 2, dw, dh);
+    } else {
+      ctx.font = this.font;
+      ctx.fillStyle = color;
+      ctx.textAlign = align;
+      ctx.direction = direction;
+      ctx.textBaseline = 'middle';
+
+      // A word wider than the line scales the text down, rather than overflow
+      const widest = Math.max(...this.content.split(/\s+/).map((word) => ctx.measureText(word).width));
+      if (widest > width) {
+        size *= width / widest;
+        ctx.font = this.fontAt(size);
+      }
+
+      const lines = wrapLines(ctx, this.content, width);
+      const step = size * lineHeight * dpr;
+      const x = { left: padding, right: canvas.width - padding }[align] ?? canvas.width / 2;
+      // Centred as a block, around the middle of the canvas
+      const top = (canvas.height - step * (lines.length - 1)) / 2;
+      lines.forEach((line, i) => ctx.fillText(line, x, top + step * i));
+    }
+
+    this.dispatchEvent(new CustomEvent('change'));
+  }
+
+  /**
+   * Stop redrawing on font loads and release the canvas.
+   */
+  destroy() {
+    doc.fonts?.removeEventListener('loadingdone', this.onFontsEv);
+    this.canvas.width = this.canvas.height = 0;
+    this.image = null;
+  }
+}
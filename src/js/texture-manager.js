@@ -0,0 +1,217 @@
+import { Texture } from 'https://cdn.skypack.dev/ogl';
+
+/**
+ * @typedef {Object} textureManagerProps
+ * The object includes a set of options for the {@link TextureManager}.
+ *
+ * @prop {number} [budget=268435456] GPU memory the cached textures may take,
+ * in bytes. It is initially `256` MiB.
+ * @prop {number} [ahead=2] Number of the next gallery entries to preload.
+ * @prop {number} [behind=1] Number of the previous gallery entries to preload.
+ */
+
+/**
+ * Default {@link textureManagerProps|texture manager options}.
+ * @const @default
+ */
+export const TEXTURE_MANAGER_DEFAULTS = {
+  budget: 256 * 1024 * 1024,
+  ahead: 2,
+  behind: 1,
+};
+
+/**
+ * Estimate the GPU memory taken by the RGBA texture of the image,
+ * w/ its mipmaps.
+ *
+ * @param {{ width: number, height: number }} image The image.
+ * @returns {number} Size, in bytes.
+ */
+const textureBytes = ({ width, height }) => Math.ceil(width * height * 4 * 4 / 3);
+
+/**
+ * Rejected w/ when an image can't be loaded _or_ decoded.
+ * @class
+ * @extends Error
+ *
+ * @param {string} url URL of the image.
+ * @param {*} [cause] The failure, e.g. the `error` event of the image.
+ * @param {number} [index=-1] Index of the gallery entry, if known.
+ */
+export class TextureError extends Error {
+  constructor(url, cause, index = -1) {
+    super(`Failed to load the image: ${url}`, { cause });
+    this.name = 'TextureError';
+    this.url = url;
+    this.index = index;
+  }
+}
+
+/**
+ * Load images once and keep them uploaded as GL textures,
+ * dropping the least recently used ones over the memory budget.
+ * @class
+ * @classdesc Fires a `progress` event, w/ `loaded`, `total` _and_ `url`
+ * in its `detail`, whenever a {@link TextureManager#preload|preloaded} image settles.
+ *
+ * @param {WebGLRenderingContext} gl The GL context.
+ * @param {function(string, AbortSignal): Promise.<HTMLImageElement>} load Callback
+ * that loads the image by its URL, until the signal cancels it.
+ * @param {textureManagerProps} [options={}] A set of texture manager options.
+ *
+ * @example
+ * const textures = new TextureManager(gl, (url, signal) => fetchImage(url, { signal }), { budget: 64e6 });
+ * textures.preload(['tex/img1-1500w-q80.jpg', 'tex/img2-1500w-q80.jpg']);
+ * program.uniforms.tWater.value = await textures.acquire('tex/img1-1500w-q80.jpg');
+ */
+export class TextureManager extends EventTarget {
+  constructor(gl, load, options = {}) {
+    super();
+
+    this.gl = gl;
+    this.load = load;
+    this.options = { ...TEXTURE_MANAGER_DEFAULTS, ...options };
+
+    // Records by URL, in the order of use: least recent first
+    this.cache = new Map();
+    // Textures on screen, never evicted
+    this.pinned = new Set();
+    this.bytes = 0;
+    this.progress = { loaded: 0, total: 0 };
+  }
+
+  /**
+   * Check if the image is loaded _and_ uploaded.
+   * @param {string} url URL of the image.
+   * @returns {boolean}
+   */
+  has(url) {
+    return !!this.cache.get(url)?.texture;
+  }
+
+  /**
+   * Get the texture of the image, loading it on first use.
+   *
+   * @param {string} url URL of the image.
+   * @returns {Promise.<Texture>} The uploaded texture.
+   * @throws {TextureError} If the image can't be loaded, _or_ w/ an `AbortError`
+   * cause if it's released before it's in.
+   */
+  acquire(url) {
+    let record = this.cache.get(url);
+
+    if (record) {
+      // Mark as the most recently used
+      this.cache.delete(url);
+      this.cache.set(url, record);
+      return record.promise;
+    }
+
+    record = { texture: null, bytes: 0, controller: new AbortController() };
+    record.promise = this.load(url, record.controller.signal).then((image) => {
+      // Cancelled, released _or_ cleared while loading: the image is dropped
+      // rather than uploaded, the manager may be gone along w/ its context
+      if (this.cache.get(url) !== record) {
+        throw new TextureError(url, new DOMException(`Released while loading: ${url}`, 'AbortError'));
+      }
+
+      const { gl } = this;
+      record.texture = new Texture(gl, {
+        image,
+        minFilter: gl.LINEAR,
+        magFilter: gl.LINEAR,
+      });
+      // Upload right away, so switching to it is instant
+      record.texture.update();
+      record.bytes = textureBytes(image);
+      this.bytes += record.bytes;
+      this.evict();
+
+      return record.texture;
+    }, (e) => {
+      // Let the next attempt load it again
+      if (this.cache.get(url) === record) this.cache.delete(url);
+      throw e instanceof TextureError ? e : new TextureError(url, e);
+    });
+    this.cache.set(url, record);
+
+    return record.promise;
+  }
+
+  /**
+   * Load the images in the background, reporting the progress.
+   *
+   * @param {string[]} urls URLs of the images.
+   * @returns {Promise} Resolves when all of them settle.
+   */
+  preload(urls) {
+    const pending = urls.filter((url) => !this.cache.has(url));
+    const { progress } = this;
+
+    // Start counting anew once the previous batch is done
+    if (progress.loaded >= progress.total) progress.loaded = progress.total = 0;
+    progress.total += pending.length;
+
+    return Promise.allSettled(pending.map((url) => (
+      this.acquire(url).finally(() => {
+        progress.loaded++;
+        this.dispatchEvent(new CustomEvent('progress', {
+          detail: { ...progress, url },
+        }));
+      })
+    )));
+  }
+
+  /**
+   * Keep the textures from eviction, releasing the pins set before.
+   * @param {...Texture} textures The textures on screen.
+   */
+  pin(...textures) {
+    this.pinned = new Set(textures);
+    this.evict();
+  }
+
+  /**
+   * Release the least recently used textures until the cache fits the budget.
+   */
+  evict() {
+    for (const [url, record] of this.cache) {
+      if (this.bytes <= this.options.budget) break;
+      if (!record.texture || this.pinned.has(record.texture)) continue;
+      this.release(url);
+    }
+  }
+
+  /**
+   * Stop loading the image, e.g. once it's superseded by another one.
+   * The image is left alone if it's already in.
+   * @param {string} url URL of the image.
+   */
+  cancel(url) {
+    if (this.cache.get(url)?.texture === null) this.release(url);
+  }
+
+  /**
+   * Drop the image _and_ delete its GL texture,
+   * cancelling its loading if it's still in progress.
+   * @param {string} url URL of the image.
+   */
+  release(url) {
+    const record = this.cache.get(url);
+    if (!record) return;
+
+    record.controller.abort();
+    if (record.texture) this.gl.deleteTexture(record.texture.texture);
+    this.bytes -= record.bytes;
+    this.cache.delete(url);
+  }
+
+  /**
+   * Release every texture.
+   */
+  clear() {
+    [...this.cache.keys()].forEach((url) => this.release(url));
+    this.pinned.clear();
+    this.progress = { loaded: 0, total: 0 };
+  }
+}
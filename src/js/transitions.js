@@ -0,0 +1,212 @@
+import { Vec2 } from 'https://cdn.skypack.dev/ogl';
+
+/**
+ * Enum for the transition modes, as passed to the `uMode` uniform.
+ * @readonly
+ * @enum {number}
+ */
+export const TRANSITION_MODES = {
+  /** Blend the textures evenly */
+  crossfade: 0,
+  /** Reveal the incoming texture through noise, faster where the flow is */
+  dissolve: 1,
+  /** Reveal the incoming texture along a direction */
+  wipe: 2,
+};
+
+/**
+ * Easing functions, mapping linear progress `0–1` to eased progress.
+ * @type {Object.<string, function(number): number>}
+ */
+export const easings = {
+  linear: (t) => t,
+  easeInQuad: (t) => t * t,
+  easeOutQuad: (t) => t * (2 - t),
+  easeInOutQuad: (t) => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t),
+  easeInOutCubic: (t) => (t < 0.5
+    ? 4 * t * t * t
+    : (t - 1) * (2 * t - 2) * (2 * t - 2) + 1),
+  easeOutExpo: (t) => (t === 1 ? 1 : 1 - Math.pow(2, -10 * t)),
+};
+
+/**
+ * GLSL chunk that computes how much of the incoming texture is mixed
+ * over the outgoing one at the `uProgress` of the transition.
+ */
+export const transitionChunk = /* glsl */ `
+  uniform float uProgress;
+  uniform int uMode;
+  uniform vec2 uDirection;
+  uniform float uEdge;
+
+  float hash(vec2 p) {
+    return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+  }
+
+  float noise(vec2 p) {
+    vec2 i = floor(p);
+    vec2 f = fract(p);
+    vec2 u = f * f * (3.0 - 2.0 * f);
+    return mix(
+      mix(hash(i), hash(i + vec2(1.0, 0.0)), u.x),
+      mix(hash(i + vec2(0.0, 1.0)), hash(i + vec2(1.0, 1.0)), u.x),
+      u.y
+    );
+  }
+
+  // 0 where the value is not reached by the moving edge yet, 1 once it is
+  float reveal(float progress, float value) {
+    float edge = progress * (1.0 + uEdge);
+    return 1.0 - smoothstep(edge - uEdge, edge, value);
+  }
+
+  float transitionAmount(vec2 uv, vec3 flow) {
+    float amount = uProgress;
+
+    if (uMode == 1) {
+      // Faster flow reveals the incoming texture earlier
+      float value = mix(noise(uv * 8.0), 1.0 - clamp(flow.b, 0.0, 1.0), 0.5);
+      amount = reveal(uProgress, value);
+    } else if (uMode == 2) {
+      vec2 dir = normalize(uDirection);
+      // Project onto the direction, so the edge spans exactly 0–1
+      float along = dot(uv - 0.5, dir) / (abs(dir.x) + abs(dir.y)) + 0.5;
+      amount = reveal(uProgress, along + flow.b * 0.05);
+    }
+
+    return clamp(amount, 0.0, 1.0);
+  }
+`;
+
+/**
+ * @typedef {Object} transitionProps
+ * The object includes a set of options for
+ * {@link TextureTransition#start|a transition}.
+ *
+ * @prop {string} [mode='crossfade'] One of the {@link TRANSITION_MODES|modes}.
+ * @prop {number} [duration=800] Duration, in ms. `0` switches instantly.
+ * @prop {(string|Function)} [easing='easeInOutCubic'] Name of one of the
+ * {@link easings} _or_ a custom function.
+ * @prop {number[]} [direction=[1, 0]] Direction of the wipe.
+ * @prop {number} [edge=0.2] Softness of the dissolve _and_ wipe edges.
+ */
+
+/**
+ * Default {@link transitionProps|transition options}.
+ * @const @default
+ */
+export const TRANSITION_DEFAULTS = {
+  mode: 'crossfade',
+  duration: 800,
+  easing: 'easeInOutCubic',
+  direction: [1, 0],
+  edge: 0.2,
+};
+
+/**
+ * Drive the progress of the transitions between two textures.
+ * @class
+ * @classdesc Owns the uniforms read by the {@linkcode transitionChunk}
+ * and advances them on every {@link TextureTransition#update|update}.
+ *
+ * @param {transitionProps} [options={}] Default transition options.
+ *
+ * @example
+ * const transition = new TextureTransition({ mode: 'wipe' });
+ * new Program(gl, { uniforms: { ...transition.uniforms } });
+ * transition.start({ duration: 400 }).then(() => console.log('done'));
+ */
+export class TextureTransition {
+  constructor(options = {}) {
+    this.options = { ...TRANSITION_DEFAULTS, ...options };
+
+    this.uniforms = {
+      uProgress: { value: 1 },
+      uMode: { value: TRANSITION_MODES.crossfade },
+      uDirection: { value: new Vec2(1, 0) },
+      uEdge: { value: this.options.edge },
+    };
+
+    this.isRunning = false;
+    this.startTime = undefined;
+    this.resolve = null;
+  }
+
+  /**
+   * Merge the options of a transition over the defaults, so they can be
+   * checked before anything is swapped for it.
+   *
+   * @param {transitionProps} [options={}] Options for this transition only.
+   * @returns {transitionProps} The options.
+   * @throws {TypeError} If the mode is unknown.
+   */
+  readOptions(options = {}) {
+    const merged = { ...this.options, ...options };
+
+    if (!(merged.mode in TRANSITION_MODES)) {
+      throw new TypeError(`Unknown transition mode: ${merged.mode}`);
+    }
+
+    return merged;
+  }
+
+  /**
+   * Start a new transition from `0` progress,
+   * finishing the one in progress (if any) first.
+   *
+   * @param {transitionProps} [options={}] Options for this transition only.
+   * @returns {Promise.<boolean>} Resolves when the transition ends:
+   * `true` if completed, `false` if interrupted by another one.
+   * @throws {TypeError} If the mode is unknown, w/ the one in progress left running.
+   */
+  start(options = {}) {
+    const { mode, duration, easing, direction, edge } = this.readOptions(options);
+
+    this.settle(false);
+
+    this.duration = Math.max(0, duration);
+    this.easing = typeof easing === 'function'
+      ? easing
+      : (easings[easing] || easings.linear);
+
+    const { uniforms } = this;
+    uniforms.uMode.value = TRANSITION_MODES[mode];
+    uniforms.uDirection.value.set(direction[0], direction[1]);
+    uniforms.uEdge.value = edge;
+
+    return new Promise((resolve) => {
+      this.resolve = resolve;
+      this.isRunning = true;
+      this.startTime = undefined;
+      uniforms.uProgress.value = 0;
+      if (this.duration === 0) this.settle(true);
+    });
+  }
+
+  /**
+   * Advance the progress. Called once per frame.
+   * @param {number} time Current time, in ms.
+   */
+  update(time) {
+    if (!this.isRunning) return;
+    if (this.startTime === undefined) this.startTime = time;
+
+    const elapsed = Math.min(1, (time - this.startTime) / this.duration);
+    this.uniforms.uProgress.value = this.easing(elapsed);
+
+    if (elapsed >= 1) this.settle(true);
+  }
+
+  /**
+   * Jump to the end of the transition in progress.
+   * @param {boolean} [isCompleted=true] Value to resolve the promise with.
+   */
+  settle(isCompleted = true) {
+    if (!this.isRunning) return;
+
+    this.isRunning = false;
+    this.uniforms.uProgress.value = 1;
+    this.resolve(isCompleted);
+    this.resolve = null;
+  }
+}
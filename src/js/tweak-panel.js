@@ -0,0 +1,444 @@
+import { PARAM_SCHEMA, schemaDefaults, validateParams } from './param-schema.js';
+import { isTypingTarget } from './index.js';
+
+let doc = document;
+
+/**
+ * @typedef {Object} tweakPanelProps
+ * The object includes a set of options for the {@link TweakPanel}.
+ *
+ * @prop {string} [hotkey='`'] Key that shows _and_ hides the panel.
+ * @prop {boolean} [isOpen=false] Show the panel right away.
+ * @prop {string} [storageKey='flowmap-effect:presets'] Key the saved presets
+ * are kept under in `localStorage`.
+ */
+
+/**
+ * Default {@link tweakPanelProps|tweak panel options}.
+ * @const @default
+ */
+export const TWEAK_PANEL_DEFAULTS = {
+  hotkey: '`',
+  isOpen: false,
+  storageKey: 'flowmap-effect:presets',
+};
+
+/**
+ * Setters of the effect, by the group of parameters they take,
+ * called w/ the values changed.
+ * @type {Object.<string, function(FlowmapEffect, Object): void>}
+ */
+const APPLY = {
+  // Merged over the ones set before, the size resets the quality governor
+  flowmap: (effect, values) => effect.setFlowmap(values),
+  // Replace the options, the values on screen are kept _or_ another preset starts over
+  distortion: (effect, { preset = effect.distortion.preset ?? '', ...values }) => effect.setDistortion({
+    ...(preset === (effect.distortion.preset ?? '') && effect.distortion.params),
+    ...(preset && { preset }),
+    ...values,
+  }),
+  physics: (effect, values) => effect.setPhysics({ ...effect.physics, ...values }),
+};
+
+/**
+ * Parameters applied once the slider is released, rather than while it's dragged,
+ * by `group.key`: the size reallocates the render targets.
+ * @type {string[]}
+ */
+const ON_RELEASE = ['flowmap.size'];
+
+/**
+ * Create an element w/ its properties _and_ children.
+ *
+ * @param {string} tag Name of the element.
+ * @param {Object} [props={}] Properties, w/ the `dataset` merged in.
+ * @param {...(Node|string)} children The children.
+ * @returns {HTMLElement}
+ */
+const h = (tag, { dataset = {}, ...props } = {}, ...children) => {
+  const el = Object.assign(doc.createElement(tag), props);
+  Object.assign(el.dataset, dataset);
+  el.append(...children);
+  return el;
+};
+
+// `<input type="color">` only takes the 6 digit notation
+const longHex = (hex) => (hex.length === 4
+  ? `#${[...hex.slice(1)].map((c) => c + c).join('')}`
+  : hex);
+
+/**
+ * In-page controls for every {@link PARAM_SCHEMA|tunable parameter},
+ * applied live through the setters of the effect.
+ * @class
+ * @classdesc A development tool: the module isn't imported by the effect,
+ * so it stays out of production bundles unless it's loaded on purpose.
+ * The panel starts at the values the effect runs w/, and saves, exports
+ * _and_ imports them as presets, in JSON.
+ *
+ * @param {FlowmapEffect} effect The mounted effect.
+ * @param {tweakPanelProps} [options={}] A set of tweak panel options.
+ *
+ * @example
+ * if (location.hostname === 'localhost') {
+ *   const { TweakPanel } = await import('./tweak-panel.js');
+ *   new TweakPanel(effect, { isOpen: true });
+ * }
+ */
+export class TweakPanel {
+  constructor(effect, options = {}) {
+    this.effect = effect;
+    this.options = { ...TWEAK_PANEL_DEFAULTS, ...options };
+    this.values = this.readValues();
+    // Controls by `group.key`
+    this.inputs = new Map();
+
+    this.onKeyEv = (e) => {
+      if (e.key !== this.options.hotkey || e.ctrlKey || e.metaKey || e.altKey) return;
+      // Sliders _and_ checkboxes don't take text
+      if (isTypingTarget(e) && !['range', 'checkbox', 'color'].includes(e.target.type)) return;
+
+      e.preventDefault();
+      this.toggle();
+    };
+    this.onInputEv = ({ target }) => {
+      const { group, key } = target.dataset;
+      if (!group) return;
+
+      if (ON_RELEASE.includes(`${group}.${key}`)) {
+        this.inputs.get(`${group}.${key}`).output.value = target.value;
+      } else {
+        this.set(group, { [key]: this.readInput(target) });
+      }
+      // The controls move to the options of the preset
+      if (`${group}.${key}` === 'distortion.preset') this.set(group, this.readValues().distortion);
+    };
+    this.onChangeEv = ({ target }) => {
+      const { group, key } = target.dataset;
+      if (group && ON_RELEASE.includes(`${group}.${key}`)) {
+        this.set(group, { [key]: this.readInput(target) });
+      }
+    };
+    this.onClickEv = ({ target }) => {
+      const { action } = target.dataset;
+      if (action) this[action]();
+    };
+    this.onPresetEv = ({ target }) => target.value && this.load(target.value);
+    this.onFileEv = ({ target }) => {
+      const [file] = target.files;
+      target.value = '';
+      if (file) this.import(file);
+    };
+
+    this.form = this.render();
+    this.form.hidden = !this.options.isOpen;
+    effect.container.appendChild(this.form);
+    this.updatePresets();
+
+    this.form.addEventListener('input', this.onInputEv, false);
+    this.form.addEventListener('change', this.onChangeEv, false);
+    this.form.addEventListener('click', this.onClickEv, false);
+    this.presetSelect.addEventListener('change', this.onPresetEv, false);
+    this.fileInput.addEventListener('change', this.onFileEv, false);
+    doc.addEventListener('keydown', this.onKeyEv, false);
+  }
+
+  /**
+   * Values the effect runs w/, by group, as in the schema.
+   * @returns {Object.<string, Object>}
+   */
+  readValues() {
+    const { flowmap, distortion, physics } = this.effect;
+    const current = {
+      // The highest size, the governor may step down from
+      flowmap: { size: this.effect.governor?.options.maxFlowmapSize ?? flowmap.size, ...flowmap.defaults },
+      distortion: { ...distortion.params, preset: distortion.preset ?? '' },
+      physics,
+    };
+    const values = schemaDefaults();
+
+    Object.entries(values).forEach(([group, params]) => {
+      Object.keys(params).forEach((key) => {
+        if (current[group][key] !== undefined) params[key] = current[group][key];
+      });
+    });
+
+    return values;
+  }
+
+  /**
+   * Build the form, a fieldset per group _and_ one for the presets.
+   * @returns {HTMLFormElement}
+   */
+  render() {
+    const groups = Object.entries(PARAM_SCHEMA).map(([group, specs]) => h(
+      'fieldset',
+      {},
+      h('legend', {}, group),
+      ...Object.entries(specs).map(([key, spec]) => this.renderParam(group, key, spec)),
+    ));
+
+    this.presetSelect = h('select', { name: 'preset', title: 'Saved presets' });
+    this.nameInput = h('input', { name: 'name', placeholder: 'Preset name' });
+    this.fileInput = h('input', { type: 'file', accept: 'application/json,.json', hidden: true });
+    this.status = h('output', { className: 'flowmap-tweaks-status' });
+    this.status.setAttribute('role', 'status');
+
+    const button = (action, label) => h('button', { type: 'button', dataset: { action } }, label);
+    const presets = h(
+      'fieldset',
+      {},
+      h('legend', {}, 'presets'),
+      this.presetSelect,
+      this.nameInput,
+      button('save', 'Save'),
+      button('remove', 'Delete'),
+      button('export', 'Export'),
+      button('openFile', 'Import'),
+      button('reset', 'Reset'),
+      this.fileInput,
+      this.status,
+    );
+
+    const form = h('form', { className: 'flowmap-tweaks' }, ...groups, presets);
+    form.setAttribute('aria-label', 'Effect parameters');
+    form.addEventListener('submit', (e) => e.preventDefault());
+
+    return form;
+  }
+
+  /**
+   * Build the control of a parameter, labelled by its key
+   * and described by its description.
+   *
+   * @param {string} group Group of the parameter.
+   * @param {string} key Key of the parameter.
+   * @param {paramSpec} spec Spec of the parameter.
+   * @returns {HTMLLabelElement}
+   */
+  renderParam(group, key, spec) {
+    const val = this.values[group][key];
+    const dataset = { group, key };
+    let input;
+    let output = '';
+
+    if (spec.type === 'boolean') {
+      input = h('input', { type: 'checkbox', checked: val, dataset });
+    } else if (spec.type === 'color') {
+      input = h('input', { type: 'color', value: longHex(val), dataset });
+    } else if (spec.type === 'option') {
+      input = h('select', { dataset }, ...spec.options.map((o) => h('option', { value: o }, o || 'none')));
+      input.value = val;
+    } else {
+      const { min, max, step } = spec;
+      input = h('input', {
+        type: 'range',
+        min,
+        max,
+        step,
+        value: val,
+        dataset,
+      });
+      output = h('output', {}, `${val}`);
+    }
+
+    this.inputs.set(`${group}.${key}`, { input, output });
+
+    return h('label', { title: spec.description }, h('span', {}, key), input, output);
+  }
+
+  /**
+   * Value of a control, typed as in the schema.
+   * @param {HTMLInputElement} input The control.
+   * @returns {*}
+   */
+  readInput(input) {
+    if (input.type === 'checkbox') return input.checked;
+    if (input.type === 'color' || input.tagName === 'SELECT') return input.value;
+    return +input.value;
+  }
+
+  /**
+   * Set the parameters of a group, applied to the effect at once.
+   *
+   * @param {string} group Group of the parameters.
+   * @param {Object} values Values by their keys.
+   */
+  set(group, values) {
+    Object.assign(this.values[group], values);
+
+    Object.entries(values).forEach(([key, val]) => {
+      const { input, output } = this.inputs.get(`${group}.${key}`);
+      if (input.type === 'checkbox') input.checked = val;
+      else input.value = input.type === 'color' ? longHex(val) : val;
+      if (output) output.value = `${val}`;
+    });
+
+    APPLY[group](this.effect, values);
+  }
+
+  /**
+   * Apply a set of parameters, by group, over the current ones.
+   * @param {Object.<string, Object>} params The parameters.
+   * @throws {ParamsError} If any of them doesn't match the schema.
+   */
+  apply(params) {
+    validateParams(params);
+    Object.entries(params).forEach(([group, values]) => this.set(group, values));
+  }
+
+  /**
+   * Show the panel if it's hidden, hide it otherwise.
+   */
+  toggle() {
+    this.form.hidden = !this.form.hidden;
+  }
+
+  /**
+   * Report the outcome of an action.
+   * @param {string} message The report.
+   */
+  report(message) {
+    this.status.value = message;
+  }
+
+  /**
+   * The presets saved in `localStorage`, by name.
+   * @returns {Object.<string, Object>}
+   */
+  readPresets() {
+    try {
+      return JSON.parse(localStorage.getItem(this.options.storageKey)) || {};
+    } catch (e) {
+      // Storage blocked _or_ malformed, start afresh
+      return {};
+    }
+  }
+
+  /**
+   * Write the presets to `localStorage`.
+   * @param {Object.<string, Object>} presets The presets, by name.
+   * @returns {boolean} Whether they were written.
+   */
+  writePresets(presets) {
+    try {
+      localStorage.setItem(this.options.storageKey, JSON.stringify(presets));
+      return true;
+    } catch (e) {
+      this.report(`Can't save: ${e.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * List the saved presets in the select.
+   * @param {string} [selected=''] Name of the preset to select.
+   */
+  updatePresets(selected = '') {
+    const names = Object.keys(this.readPresets());
+
+    this.presetSelect.replaceChildren(
+      h('option', { value: '' }, names.length ? 'Saved presets…' : 'No saved presets'),
+      ...names.map((name) => h('option', { value: name }, name)),
+    );
+    this.presetSelect.value = selected;
+  }
+
+  /**
+   * Save the current values under the name typed in.
+   */
+  save() {
+    const name = this.nameInput.value.trim();
+    if (!name) {
+      this.report('Type in a name first');
+      return;
+    }
+
+    const presets = this.readPresets();
+    presets[name] = structuredClone(this.values);
+    if (!this.writePresets(presets)) return;
+
+    this.updatePresets(name);
+    this.report(`Saved “${name}”`);
+  }
+
+  /**
+   * Apply a saved preset.
+   * @param {string} name Name of the preset.
+   */
+  load(name) {
+    try {
+      this.apply(this.readPresets()[name] ?? {});
+      this.nameInput.value = name;
+      this.report(`Loaded “${name}”`);
+    } catch (e) {
+      this.report(e.message);
+    }
+  }
+
+  /**
+   * Delete the selected preset.
+   */
+  remove() {
+    const name = this.presetSelect.value;
+    if (!name) return;
+
+    const presets = this.readPresets();
+    delete presets[name];
+    if (!this.writePresets(presets)) return;
+
+    this.updatePresets();
+    this.report(`Deleted “${name}”`);
+  }
+
+  /**
+   * Download the current values as a JSON file.
+   */
+  export() {
+    const name = this.nameInput.value.trim() || 'preset';
+    const blob = new Blob([JSON.stringify(this.values, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    h('a', { href: url, download: `${name}.json` }).click();
+    // Revoked once the download has started
+    setTimeout(() => URL.revokeObjectURL(url));
+  }
+
+  openFile() {
+    this.fileInput.click();
+  }
+
+  /**
+   * Apply the values of a JSON file.
+   *
+   * @async
+   * @param {Blob} file The file.
+   */
+  async import(file) {
+    try {
+      this.apply(JSON.parse(await file.text()));
+      this.nameInput.value = file.name?.replace(/\.json$/i, '') ?? '';
+      this.report(`Imported ${file.name ?? 'the preset'}`);
+    } catch (e) {
+      this.report(e.message);
+    }
+  }
+
+  /**
+   * Return every parameter to the default of the schema.
+   */
+  reset() {
+    this.apply(schemaDefaults());
+    this.report('Reset to the defaults');
+  }
+
+  /**
+   * Remove the panel _and_ detach its listeners. The effect keeps the values.
+   */
+  destroy() {
+    doc.removeEventListener('keydown', this.onKeyEv, false);
+    this.form.remove();
+    this.inputs.clear();
+    this.form = this.effect = null;
+  }
+}